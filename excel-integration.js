@@ -481,30 +481,30 @@ function prepareFromBuckets() {
   console.log(`📊 Complete cases: ${completeCaseIndices.length} out of ${totalRows} total rows`);
   console.log(`   Excluded ${totalRows - completeCaseIndices.length} rows with missing data`);
 
-  // Prepare categorical encodings (dummy variables) using ALL data first
+  // Prepare categorical encodings (contrast columns, see js/model-terms.js) using ALL data first
   const categoricalEncodings = [];
   const categoricalVarNames = [];
   
   xcVariables.forEach(variable => {
-    // Get unique categories from the data
+    // Get unique categories from the data (first-seen order)
     const uniqueCategories = [...new Set(variable.data.filter(v => v !== null && v !== '' && v !== undefined))];
     console.log(`📊 Categorical variable "${variable.name}" has ${uniqueCategories.length} categories:`, uniqueCategories);
     
-    // Create dummy variables (drop first category as reference)
-    for (let catIdx = 1; catIdx < uniqueCategories.length; catIdx++) {
-      const category = uniqueCategories[catIdx];
-      const dummyData = variable.data.map(v => (v === category ? 1 : 0));
+    // k-1 columns; treatment coding against the first category unless the
+    // variable carries a { coding, reference } choice from the category modal
+    const source = ModelTerms.categoricalSource(variable.name, variable.data, uniqueCategories, variable.contrast);
+    source.columns.forEach(col => {
       categoricalEncodings.push({
         variable: variable.name,
-        category: category,
-        data: dummyData,
-        displayName: `${variable.name}_${category}`
+        coding: source.coding,
+        data: col.data,
+        displayName: col.name
       });
-      categoricalVarNames.push(`${variable.name}_${category}`);
-    }
+      categoricalVarNames.push(col.name);
+    });
   });
 
-  console.log(`✅ Created ${categoricalEncodings.length} dummy variables from ${xcVariables.length} categorical variables`);
+  console.log(`✅ Created ${categoricalEncodings.length} contrast columns from ${xcVariables.length} categorical variables`);
 
   // Now prepare Y and X using ONLY complete cases
   const Y = [];
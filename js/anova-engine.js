@@ -0,0 +1,924 @@
+/**
+ * ANOVA Engine
+ * One-way and two-way (factorial) analysis of variance for anova.html
+ * Requires js/distributions.js, js/linear-algebra.js, js/model-terms.js, js/term-anova.js,
+ * js/normality-tests.js, js/descriptive-stats.js
+ *
+ * Input is column data as loaded from the worksheet: a numeric response and
+ * one or two factor columns. Rows with a missing or non-numeric response or
+ * a blank factor value are dropped; factor values are compared as text, so
+ * 1 and "1" are the same level.
+ *
+ * One-way:  SS between groups and within groups from the group means.
+ * Two-way:  A + B + A×B fitted with TermAnova on effect-coded factors, so
+ *           unbalanced designs get proper Type I / II / III sums of squares
+ *           (Type III by default, as in SPSS and SAS). For balanced data the
+ *           three types coincide. Empty cells reduce the interaction df.
+ *
+ * Repeated measures: one within-subject factor (wide columns or long data
+ *           with a subject id) and an optional between-subjects factor
+ *           (split-plot). Within effects are tested on orthonormal contrast
+ *           scores, which gives the univariate F tests with Mauchly's
+ *           sphericity test and Greenhouse-Geisser / Huynh-Feldt corrections
+ *           (Huynh-Feldt with Lecoutre's correction, as in R's car package).
+ *           Unbalanced groups use unweighted means (Type III) for the within
+ *           effect, as SPSS GLM does.
+ *
+ * Effect sizes for each source (N = total observations, MSE = residual MS):
+ *   eta²          SS / SS total
+ *   partial eta²  SS / (SS + SS residual)
+ *   omega²        (SS - df * MSE) / (SS total + MSE)   (can be negative)
+ * and for the whole model eta² (= R²), omega² and Cohen's f = sqrt(eta² / (1 - eta²)).
+ * Repeated-measures rows report partial eta² against their own error term and
+ * generalized eta² (Olejnik & Algina 2003) in place of eta².
+ *
+ * Assumption checks (two-way designs use the cells as groups):
+ *   Levene          ANOVA on |y - group mean|
+ *   Brown-Forsythe  ANOVA on |y - group median| (car::leveneTest default)
+ *   Bartlett        chi-square test on the log group variances
+ *   Shapiro-Wilk    within each group and on the pooled residuals
+ *
+ * Alternatives to the classical F when those checks fail (one-way tests on
+ * the groups, or on the cells of a two-way design):
+ *   Welch           heteroscedastic F (R's oneway.test)
+ *   Brown-Forsythe  F* with Satterthwaite denominator df
+ *   Kruskal-Wallis  rank test with tie correction (Dunn's comparisons are in
+ *                   js/post-hoc-tests.js)
+ */
+
+const ANOVA_SS_TYPES = {
+  type1: 'Type I (sequential)',
+  type2: 'Type II (hierarchical)',
+  type3: 'Type III (marginal)'
+};
+
+class AnovaEngine {
+
+  /**
+   * @param {Object} response - { name, data }
+   * @param {Array<Object>} factors - One or two { name, data } factor columns
+   * @param {Object} options
+   *   alpha   significance level for the group mean CIs (default 0.05)
+   *   ssType  'type1' | 'type2' | 'type3' for two-way designs (default 'type3')
+   * @returns {Object} see oneWay() / twoWay()
+   */
+  static analyze(response, factors, options = {}) {
+    if (!factors || factors.length < 1 || factors.length > 2) {
+      throw new Error('Select one or two factors');
+    }
+    if (factors.some(f => f.name === response.name)) {
+      throw new Error('The response cannot also be a factor');
+    }
+    if (factors.length === 2 && factors[0].name === factors[1].name) {
+      throw new Error('Select two different factors');
+    }
+
+    const data = AnovaEngine.prepare(response, factors);
+    const alpha = options.alpha || 0.05;
+    const result = factors.length === 1
+      ? AnovaEngine.oneWay(data, alpha)
+      : AnovaEngine.twoWay(data, alpha, options.ssType || 'type3');
+
+    result.response = response.name;
+    result.alpha = alpha;
+    result.keptRows = data.keptRows;
+    result.droppedRows = data.droppedRows;
+    return result;
+  }
+
+  // ==========================================================================
+  // DATA PREPARATION
+  // ==========================================================================
+
+  /**
+   * Complete cases of the response and factors
+   * @returns {Object} { y, factors: [{ name, data, levels }], keptRows, droppedRows }
+   *   keptRows are the indices of the used rows in the original columns
+   */
+  static prepare(response, factors) {
+    const keptRows = [];
+    response.data.forEach((value, i) => {
+      const y = AnovaEngine.toNumber(value);
+      if (!isFinite(y)) return;
+      if (factors.some(f => AnovaEngine.toLevel(f.data[i]) === null)) return;
+      keptRows.push(i);
+    });
+
+    const prepared = factors.map(f => {
+      const data = keptRows.map(i => AnovaEngine.toLevel(f.data[i]));
+      return { name: f.name, data: data, levels: ModelTerms.sortLevels(data) };
+    });
+
+    prepared.forEach(f => {
+      if (f.levels.length < 2) {
+        throw new Error(`${f.name} needs at least 2 levels with data (found ${f.levels.length})`);
+      }
+    });
+
+    return {
+      y: keptRows.map(i => AnovaEngine.toNumber(response.data[i])),
+      factors: prepared,
+      keptRows: keptRows,
+      droppedRows: response.data.length - keptRows.length
+    };
+  }
+
+  static toNumber(value) {
+    if (value === null || value === undefined || value === '') return NaN;
+    return Number(value);
+  }
+
+  static toLevel(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+  }
+
+  // ==========================================================================
+  // GROUP DESCRIPTIVES
+  // ==========================================================================
+
+  /**
+   * N, mean, SD, SE, (1 - alpha) CI of the mean, min and max of one group
+   */
+  static describe(values, alpha = 0.05) {
+    const s = DescriptiveStats.summarize(values, { alpha: alpha });
+    return {
+      n: s.n,
+      mean: s.mean,
+      sd: s.sd,
+      se: s.se,
+      ciLower: s.ciLower,
+      ciUpper: s.ciUpper,
+      min: s.min,
+      max: s.max
+    };
+  }
+
+  /**
+   * Descriptives of y split by a label per observation, in the order of `levels`
+   * @returns {Array<Object>} [{ group, values, n, mean, ... }]
+   */
+  static groupStats(y, labels, levels, alpha = 0.05) {
+    const byLevel = new Map(levels.map(l => [l, []]));
+    y.forEach((v, i) => {
+      if (byLevel.has(labels[i])) byLevel.get(labels[i]).push(v);
+    });
+    return levels.map(level => Object.assign(
+      { group: level, values: byLevel.get(level) },
+      AnovaEngine.describe(byLevel.get(level), alpha)
+    ));
+  }
+
+  // ==========================================================================
+  // ONE-WAY ANOVA
+  // ==========================================================================
+
+  /**
+   * @returns {Object} {
+   *   design: 'one-way', factors: [{ name, levels }], n,
+   *   table: [{ source, ss, df, ms, fStat, pValue, etaSquared, partialEtaSquared, omegaSquared }],
+   *   residual: { df, ss, ms }, total: { df, ss }, model: { ... }, groups, groupLabels,
+   *   fitted, residuals, y, warnings }
+   */
+  static oneWay(data, alpha) {
+    const y = data.y;
+    const factor = data.factors[0];
+    const n = y.length;
+    const groups = AnovaEngine.groupStats(y, factor.data, factor.levels, alpha);
+    const k = groups.length;
+    if (n <= k) {
+      throw new Error(`Not enough observations: ${n} values in ${k} groups leave no residual degrees of freedom`);
+    }
+
+    const grandMean = y.reduce((sum, v) => sum + v, 0) / n;
+    const meanOf = new Map(groups.map(g => [g.group, g.mean]));
+    const fitted = factor.data.map(l => meanOf.get(l));
+    const residuals = y.map((v, i) => v - fitted[i]);
+
+    const ssTotal = y.reduce((sum, v) => sum + (v - grandMean) * (v - grandMean), 0);
+    const ssResidual = residuals.reduce((sum, e) => sum + e * e, 0);
+    const ssBetween = groups.reduce((sum, g) => sum + g.n * (g.mean - grandMean) * (g.mean - grandMean), 0);
+    const residual = { df: n - k, ss: ssResidual, ms: ssResidual / (n - k) };
+
+    const row = AnovaEngine.sourceRow(factor.name, ssBetween, k - 1, residual, ssTotal);
+
+    return {
+      design: 'one-way',
+      factors: [{ name: factor.name, levels: factor.levels }],
+      n: n,
+      table: [row],
+      residual: residual,
+      total: { df: n - 1, ss: ssTotal },
+      model: AnovaEngine.modelSummary(ssTotal, n - 1, residual),
+      groups: groups,
+      groupLabels: factor.data,
+      fitted: fitted,
+      residuals: residuals,
+      y: y,
+      warnings: groups.filter(g => g.n < 2).map(g => `Group ${g.group} has a single observation`)
+    };
+  }
+
+  // ==========================================================================
+  // TWO-WAY ANOVA
+  // ==========================================================================
+
+  /**
+   * Factorial A + B + A×B model. Same result shape as oneWay(), plus
+   * ssType, balanced, marginals ({ [factor]: groups }) and cell groups
+   * labelled "a × b".
+   */
+  static twoWay(data, alpha, ssType) {
+    if (!ANOVA_SS_TYPES[ssType]) throw new Error(`Unknown sum of squares type: ${ssType}`);
+    const y = data.y;
+    const [a, b] = data.factors;
+    const n = y.length;
+
+    const sources = {};
+    data.factors.forEach(f => {
+      sources[f.name] = ModelTerms.categoricalSource(f.name, f.data, f.levels, { coding: 'effect' });
+    });
+    const terms = [
+      ModelTerms.mainEffect(a.name),
+      ModelTerms.mainEffect(b.name),
+      ModelTerms.interaction([a.name, b.name])
+    ];
+    const design = ModelTerms.buildDesign(terms, sources);
+    const X = y.map((_, i) => design.columns.map(col => col.data[i]));
+
+    // Cells in A-major order; the full factorial model fits each cell mean
+    const cellLabel = (la, lb) => `${la} ${INTERACTION_SEPARATOR} ${lb}`;
+    const cellLevels = [];
+    a.levels.forEach(la => b.levels.forEach(lb => cellLevels.push(cellLabel(la, lb))));
+    const labels = y.map((_, i) => cellLabel(a.data[i], b.data[i]));
+    const cells = AnovaEngine.groupStats(y, labels, cellLevels, alpha);
+    const filled = cells.filter(c => c.n > 0);
+
+    const dfResidual = n - filled.length;
+    if (dfResidual <= 0) {
+      throw new Error('Not enough observations: every cell needs replicates to estimate the error variance');
+    }
+
+    const anova = TermAnova.compute(X, y, design.assign, terms, { dfResidual: dfResidual });
+    const residual = anova.residual;
+    const grandMean = y.reduce((sum, v) => sum + v, 0) / n;
+    const ssTotal = y.reduce((sum, v) => sum + (v - grandMean) * (v - grandMean), 0);
+
+    const table = anova[ssType].map(r => AnovaEngine.sourceRow(r.term, r.ss, r.df, residual, ssTotal));
+
+    const meanOf = new Map(filled.map(c => [c.group, c.mean]));
+    const fitted = labels.map(l => meanOf.get(l));
+    const residuals = y.map((v, i) => v - fitted[i]);
+
+    const counts = filled.map(c => c.n);
+    const balanced = filled.length === cells.length && counts.every(c => c === counts[0]);
+
+    const warnings = [];
+    const empty = cells.filter(c => c.n === 0).map(c => c.group);
+    if (empty.length > 0) {
+      warnings.push(`Empty cells (${empty.join(', ')}): the ${a.name}${INTERACTION_SEPARATOR}${b.name} ` +
+        'interaction is only partly estimable and main-effect tests depend on the SS type');
+    }
+
+    const marginals = {};
+    data.factors.forEach(f => {
+      marginals[f.name] = AnovaEngine.groupStats(y, f.data, f.levels, alpha);
+    });
+
+    return {
+      design: 'two-way',
+      factors: data.factors.map(f => ({ name: f.name, levels: f.levels })),
+      ssType: ssType,
+      balanced: balanced,
+      n: n,
+      table: table,
+      residual: residual,
+      total: { df: n - 1, ss: ssTotal },
+      model: AnovaEngine.modelSummary(ssTotal, n - 1, residual),
+      groups: filled,
+      marginals: marginals,
+      groupLabels: labels,
+      fitted: fitted,
+      residuals: residuals,
+      y: y,
+      warnings: warnings
+    };
+  }
+
+  // ==========================================================================
+  // ASSUMPTION CHECKS
+  // ==========================================================================
+
+  /**
+   * Normality and equal-variance checks for an analyze() result
+   * @returns {Object} { normalityByGroup: [{ group, n, statistic, pValue, pass }],
+   *   residualNormality, levene, brownForsythe, bartlett }
+   *   each test is { test, statistic, df1, df2, pValue, pass } (null when it
+   *   cannot be computed, with the reason in `error`)
+   */
+  static assumptions(result, alpha = result.alpha || 0.05) {
+    const attempt = (name, fn) => {
+      try {
+        const test = fn();
+        test.pass = test.pValue >= alpha;
+        return test;
+      } catch (err) {
+        return { test: name, statistic: NaN, pValue: NaN, pass: null, error: err.message };
+      }
+    };
+    // Repeated measures: variances are compared between the between-subjects
+    // groups on subject means; sphericity covers the within-subject conditions
+    const values = result.design !== 'repeated'
+      ? result.groups.map(g => g.values)
+      : (result.between ? result.between.levels.map((_, grp) =>
+        result.subjectMeans.filter((_, i) => result.groupOfSubject[i] === grp)) : []);
+
+    return {
+      normalityByGroup: result.groups.map(g => Object.assign(
+        { group: g.group, n: g.n },
+        attempt('Shapiro-Wilk', () => NormalityTests.shapiroWilk(g.values))
+      )),
+      residualNormality: attempt('Shapiro-Wilk', () => NormalityTests.shapiroWilk(result.residuals)),
+      levene: attempt('Levene', () => AnovaEngine.levene(values, 'mean')),
+      brownForsythe: attempt('Brown-Forsythe', () => AnovaEngine.levene(values, 'median')),
+      bartlett: attempt('Bartlett', () => AnovaEngine.bartlett(values))
+    };
+  }
+
+  /**
+   * Levene's test: one-way ANOVA on absolute deviations from each group's
+   * mean, or median for the Brown-Forsythe variant
+   * @param {Array<Array<number>>} groups
+   * @param {string} center - 'mean' | 'median'
+   */
+  static levene(groups, center = 'mean') {
+    const used = groups.filter(g => g.length > 0);
+    const k = used.length;
+    const n = used.reduce((sum, g) => sum + g.length, 0);
+    if (k < 2 || n <= k) throw new Error('Needs at least 2 groups and more observations than groups');
+
+    const centerOf = center === 'median' ? AnovaEngine.median : AnovaEngine.mean;
+    const deviations = used.map(g => {
+      const c = centerOf(g);
+      return g.map(v => Math.abs(v - c));
+    });
+
+    const grand = AnovaEngine.mean([].concat(...deviations));
+    let ssBetween = 0;
+    let ssWithin = 0;
+    deviations.forEach(z => {
+      const m = AnovaEngine.mean(z);
+      ssBetween += z.length * (m - grand) * (m - grand);
+      z.forEach(v => { ssWithin += (v - m) * (v - m); });
+    });
+
+    const df1 = k - 1;
+    const df2 = n - k;
+    const statistic = (ssBetween / df1) / (ssWithin / df2);
+    return {
+      test: center === 'median' ? 'Brown-Forsythe' : 'Levene',
+      statistic: statistic,
+      df1: df1,
+      df2: df2,
+      pValue: Distributions.fSurvival(statistic, df1, df2)
+    };
+  }
+
+  /**
+   * Bartlett's test of equal variances (groups with fewer than 2 values are skipped)
+   */
+  static bartlett(groups) {
+    const used = groups.filter(g => g.length > 1);
+    const k = used.length;
+    if (k < 2) throw new Error('Needs at least 2 groups with 2 or more observations');
+
+    const dfs = used.map(g => g.length - 1);
+    const dfTotal = dfs.reduce((sum, d) => sum + d, 0);
+    const variances = used.map(g => {
+      const m = AnovaEngine.mean(g);
+      return g.reduce((sum, v) => sum + (v - m) * (v - m), 0) / (g.length - 1);
+    });
+    if (variances.some(v => v <= 0)) throw new Error('A group has zero variance');
+
+    const pooled = variances.reduce((sum, v, i) => sum + dfs[i] * v, 0) / dfTotal;
+    const numerator = dfTotal * Math.log(pooled) -
+      variances.reduce((sum, v, i) => sum + dfs[i] * Math.log(v), 0);
+    const correction = 1 + (dfs.reduce((sum, d) => sum + 1 / d, 0) - 1 / dfTotal) / (3 * (k - 1));
+    const statistic = numerator / correction;
+    return {
+      test: 'Bartlett',
+      statistic: statistic,
+      df1: k - 1,
+      df2: NaN,
+      pValue: Distributions.chiSquareSurvival(statistic, k - 1)
+    };
+  }
+
+  // ==========================================================================
+  // ROBUST ALTERNATIVES
+  // ==========================================================================
+
+  /**
+   * Welch, Brown-Forsythe F* and Kruskal-Wallis for an analyze() result
+   * @returns {Object} { welch, brownForsythe, kruskalWallis }, each
+   *   { test, statistic, df1, df2, pValue } or with `error` when not computable
+   */
+  static alternatives(result) {
+    const attempt = (name, fn) => {
+      try {
+        return fn();
+      } catch (err) {
+        return { test: name, statistic: NaN, pValue: NaN, error: err.message };
+      }
+    };
+    const groups = result.groups.filter(g => g.n > 0);
+    return {
+      welch: attempt('Welch', () => AnovaEngine.welch(groups)),
+      brownForsythe: attempt('Brown-Forsythe', () => AnovaEngine.brownForsytheF(groups)),
+      kruskalWallis: attempt('Kruskal-Wallis', () => AnovaEngine.kruskalWallis(groups.map(g => g.values)))
+    };
+  }
+
+  /**
+   * Welch's ANOVA for unequal variances
+   * @param {Array<Object>} groups - [{ n, mean, sd }]
+   */
+  static welch(groups) {
+    const k = groups.length;
+    if (k < 2) throw new Error('Needs at least 2 groups');
+    if (groups.some(g => g.n < 2 || !(g.sd > 0))) {
+      throw new Error('Every group needs at least 2 observations and a non-zero SD');
+    }
+
+    const w = groups.map(g => g.n / (g.sd * g.sd));
+    const sumW = w.reduce((sum, v) => sum + v, 0);
+    const weightedMean = groups.reduce((sum, g, i) => sum + w[i] * g.mean, 0) / sumW;
+    const between = groups.reduce((sum, g, i) => sum + w[i] * (g.mean - weightedMean) * (g.mean - weightedMean), 0) / (k - 1);
+    const lambda = groups.reduce((sum, g, i) => sum + (1 - w[i] / sumW) * (1 - w[i] / sumW) / (g.n - 1), 0);
+    const statistic = between / (1 + 2 * (k - 2) * lambda / (k * k - 1));
+    const df2 = (k * k - 1) / (3 * lambda);
+
+    return {
+      test: 'Welch',
+      statistic: statistic,
+      df1: k - 1,
+      df2: df2,
+      pValue: Distributions.fSurvival(statistic, k - 1, df2)
+    };
+  }
+
+  /**
+   * Brown-Forsythe F* test of equal means (not the median-centered Levene test)
+   */
+  static brownForsytheF(groups) {
+    const k = groups.length;
+    if (k < 2) throw new Error('Needs at least 2 groups');
+    if (groups.some(g => g.n < 2)) throw new Error('Every group needs at least 2 observations');
+
+    const n = groups.reduce((sum, g) => sum + g.n, 0);
+    const grandMean = groups.reduce((sum, g) => sum + g.n * g.mean, 0) / n;
+    const between = groups.reduce((sum, g) => sum + g.n * (g.mean - grandMean) * (g.mean - grandMean), 0);
+    const terms = groups.map(g => (1 - g.n / n) * g.sd * g.sd);
+    const denominator = terms.reduce((sum, v) => sum + v, 0);
+    if (!(denominator > 0)) throw new Error('All groups have zero variance');
+
+    const statistic = between / denominator;
+    const df2 = 1 / groups.reduce((sum, g, i) => {
+      const c = terms[i] / denominator;
+      return sum + c * c / (g.n - 1);
+    }, 0);
+
+    return {
+      test: 'Brown-Forsythe',
+      statistic: statistic,
+      df1: k - 1,
+      df2: df2,
+      pValue: Distributions.fSurvival(statistic, k - 1, df2)
+    };
+  }
+
+  /**
+   * Kruskal-Wallis H test with the correction for ties
+   * @param {Array<Array<number>>} groups - Values per group
+   * @returns {Object} { test, statistic, df1, pValue, epsilonSquared, meanRanks }
+   */
+  static kruskalWallis(groups) {
+    const used = groups.filter(g => g.length > 0);
+    const k = used.length;
+    if (k < 2) throw new Error('Needs at least 2 groups');
+
+    const { ranks, tieSum, n } = AnovaEngine.rankGroups(used);
+    const rankSums = ranks.map(r => r.reduce((sum, v) => sum + v, 0));
+    let h = 12 / (n * (n + 1)) * rankSums.reduce((sum, r, i) => sum + r * r / used[i].length, 0) - 3 * (n + 1);
+    const tieCorrection = 1 - tieSum / (n * n * n - n);
+    if (!(tieCorrection > 0)) throw new Error('All values are tied');
+    h /= tieCorrection;
+
+    return {
+      test: 'Kruskal-Wallis',
+      statistic: h,
+      df1: k - 1,
+      df2: NaN,
+      pValue: Distributions.chiSquareSurvival(h, k - 1),
+      epsilonSquared: h / (n - 1),
+      meanRanks: rankSums.map((r, i) => r / used[i].length)
+    };
+  }
+
+  /**
+   * Midranks of the pooled values, split back into groups
+   * @returns {Object} { ranks: [[...]], tieSum: sum of (t^3 - t) over tie groups, n }
+   */
+  static rankGroups(groups) {
+    const pooled = [];
+    groups.forEach((g, gi) => g.forEach((v, i) => pooled.push({ v: v, gi: gi, i: i })));
+    pooled.sort((a, b) => a.v - b.v);
+
+    const ranks = groups.map(g => new Array(g.length));
+    let tieSum = 0;
+    for (let start = 0; start < pooled.length;) {
+      let end = start;
+      while (end + 1 < pooled.length && pooled[end + 1].v === pooled[start].v) end++;
+      const t = end - start + 1;
+      const rank = (start + end) / 2 + 1;
+      for (let j = start; j <= end; j++) ranks[pooled[j].gi][pooled[j].i] = rank;
+      tieSum += t * t * t - t;
+      start = end + 1;
+    }
+    return { ranks: ranks, tieSum: tieSum, n: pooled.length };
+  }
+
+  static mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  static median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  // ==========================================================================
+  // REPEATED MEASURES
+  // ==========================================================================
+
+  /**
+   * Repeated-measures or split-plot ANOVA
+   * @param {Object} spec
+   *   layout      'wide' (one column per condition, one row per subject) or 'long'
+   *   columns     wide: [{ name, data }] condition columns
+   *   withinName  wide: name of the within-subject factor (default 'Condition')
+   *   response, subject, within   long: { name, data } columns
+   *   between     optional { name, data } between-subjects factor
+   * @param {Object} options - { alpha = 0.05 }
+   * @returns {Object} {
+   *   design: 'repeated', within: { name, levels }, between: { name, levels } | null,
+   *   n (subjects), nObservations, table: rows with { stratum, pGG, pHF,
+   *   generalizedEtaSquared }, residual (within error), betweenError, total,
+   *   sphericity, model (the within effect), groups, marginals, groupLabels,
+   *   fitted, residuals, y, matrix, subjects, subjectMeans, groupOfSubject, warnings }
+   */
+  static repeatedMeasures(spec, options = {}) {
+    const alpha = options.alpha || 0.05;
+    const data = spec.layout === 'long' ? AnovaEngine.longToWide(spec) : AnovaEngine.wideToMatrix(spec);
+    const { matrix, conditions } = data;
+    const n = matrix.length;
+    const k = conditions.length;
+    const p = k - 1;
+    if (k < 2) throw new Error('Select at least 2 repeated-measures conditions');
+
+    const betweenLevels = data.between ? ModelTerms.sortLevels(data.between) : null;
+    if (betweenLevels && betweenLevels.length < 2) {
+      throw new Error(`${data.betweenName} needs at least 2 groups with complete subjects`);
+    }
+    const g = betweenLevels ? betweenLevels.length : 1;
+    const groupOf = data.between ? data.between.map(l => betweenLevels.indexOf(l)) : matrix.map(() => 0);
+    if (n - g < 1) throw new Error(`Not enough subjects: ${n} complete subjects in ${g} group(s)`);
+
+    // Orthonormal contrasts turn the k conditions into k - 1 within-subject
+    // scores; the scaled subject totals carry the between-subject variation
+    const contrast = ModelTerms.contrasts(conditions.map((_, j) => j), 'polynomial').matrix;
+    const scores = matrix.map(row =>
+      contrast[0].map((_, c) => row.reduce((sum, v, j) => sum + v * contrast[j][c], 0)));
+    const totals = matrix.map(row => row.reduce((sum, v) => sum + v, 0) / Math.sqrt(k));
+
+    const betweenParts = AnovaEngine.groupParts(totals, groupOf, g);
+    const scoreParts = contrast[0].map((_, c) => AnovaEngine.groupParts(scores.map(z => z[c]), groupOf, g));
+
+    // Error sums of squares and cross-products of the scores
+    const centered = scores.map((z, i) => z.map((v, c) => v - scoreParts[c].means[groupOf[i]]));
+    const errorSSCP = contrast[0].map((_, a) => contrast[0].map((_, b) =>
+      centered.reduce((sum, z) => sum + z[a] * z[b], 0)));
+
+    const ssWithin = scoreParts.reduce((sum, part) => sum + part.ssIntercept, 0);
+    const ssInteraction = scoreParts.reduce((sum, part) => sum + part.ssGroup, 0);
+    const ssErrorWithin = errorSSCP.reduce((sum, row, c) => sum + row[c], 0);
+
+    const betweenError = { df: n - g, ss: betweenParts.ssError, ms: betweenParts.ssError / (n - g) };
+    const residual = { df: p * (n - g), ss: ssErrorWithin, ms: ssErrorWithin / (p * (n - g)) };
+    const sphericity = AnovaEngine.sphericity(errorSSCP, n - g, alpha);
+
+    const withinName = data.withinName;
+    const betweenName = data.betweenName;
+    const generalizedDenominator = betweenError.ss + residual.ss;
+    const rmRow = (source, stratum, ss, df, error, corrected) => {
+      const ms = ss / df;
+      const fStat = ms / error.ms;
+      const row = {
+        source: source,
+        stratum: stratum,
+        ss: ss,
+        df: df,
+        ms: ms,
+        fStat: fStat,
+        pValue: Distributions.fSurvival(fStat, df, error.df),
+        etaSquared: NaN,
+        partialEtaSquared: ss / (ss + error.ss),
+        generalizedEtaSquared: ss / (ss + generalizedDenominator),
+        omegaSquared: NaN,
+        pGG: NaN,
+        pHF: NaN
+      };
+      if (corrected) {
+        row.pGG = Distributions.fSurvival(fStat, df * sphericity.ggEpsilon, error.df * sphericity.ggEpsilon);
+        row.pHF = Distributions.fSurvival(fStat, df * sphericity.hfEpsilon, error.df * sphericity.hfEpsilon);
+      }
+      return row;
+    };
+
+    const table = [];
+    if (betweenLevels) table.push(rmRow(betweenName, 'between', betweenParts.ssGroup, g - 1, betweenError, false));
+    table.push(rmRow(withinName, 'within', ssWithin, p, residual, true));
+    if (betweenLevels) {
+      table.push(rmRow(`${withinName}${INTERACTION_SEPARATOR}${betweenName}`, 'within',
+        ssInteraction, p * (g - 1), residual, true));
+    }
+
+    // Observations in subject-major order, with the split-plot model's fitted values
+    const subjectMeans = matrix.map(row => row.reduce((sum, v) => sum + v, 0) / k);
+    const cellMeans = [];
+    const groupMeans = [];
+    for (let grp = 0; grp < g; grp++) {
+      const members = matrix.filter((_, i) => groupOf[i] === grp);
+      cellMeans.push(conditions.map((_, j) => members.reduce((sum, row) => sum + row[j], 0) / members.length));
+      groupMeans.push(members.reduce((sum, row) => sum + row.reduce((a, v) => a + v, 0), 0) / (members.length * k));
+    }
+
+    const y = [];
+    const fitted = [];
+    const labels = [];
+    const conditionLabels = [];
+    const groupLabelsBetween = [];
+    matrix.forEach((row, i) => {
+      row.forEach((v, j) => {
+        y.push(v);
+        fitted.push(subjectMeans[i] + cellMeans[groupOf[i]][j] - groupMeans[groupOf[i]]);
+        conditionLabels.push(conditions[j]);
+        if (betweenLevels) groupLabelsBetween.push(betweenLevels[groupOf[i]]);
+        labels.push(betweenLevels
+          ? `${betweenLevels[groupOf[i]]} ${INTERACTION_SEPARATOR} ${conditions[j]}`
+          : conditions[j]);
+      });
+    });
+    const residuals = y.map((v, i) => v - fitted[i]);
+    const grandMean = y.reduce((sum, v) => sum + v, 0) / y.length;
+    const ssTotal = y.reduce((sum, v) => sum + (v - grandMean) * (v - grandMean), 0);
+
+    const cellLevels = betweenLevels
+      ? [].concat(...betweenLevels.map(b => conditions.map(c => `${b} ${INTERACTION_SEPARATOR} ${c}`)))
+      : conditions;
+    const marginals = {};
+    marginals[withinName] = AnovaEngine.groupStats(y, conditionLabels, conditions, alpha);
+    if (betweenLevels) marginals[betweenName] = AnovaEngine.groupStats(y, groupLabelsBetween, betweenLevels, alpha);
+
+    const withinRow = table.find(row => row.source === withinName);
+    const warnings = [];
+    if (data.droppedSubjects > 0) {
+      warnings.push(`${data.droppedSubjects} subject(s) with missing conditions were excluded`);
+    }
+    if (sphericity.pass === false) {
+      warnings.push('Sphericity is violated: use the Greenhouse-Geisser (or Huynh-Feldt when ε > 0.75) p-values');
+    }
+
+    return {
+      design: 'repeated',
+      within: { name: withinName, levels: conditions },
+      between: betweenLevels ? { name: betweenName, levels: betweenLevels } : null,
+      factors: [{ name: withinName, levels: conditions }]
+        .concat(betweenLevels ? [{ name: betweenName, levels: betweenLevels }] : []),
+      n: n,
+      nObservations: y.length,
+      table: table,
+      residual: residual,
+      betweenError: betweenError,
+      total: { df: y.length - 1, ss: ssTotal },
+      sphericity: sphericity,
+      model: Object.assign({}, withinRow, {
+        etaSquared: withinRow.generalizedEtaSquared,
+        cohensF: Math.sqrt(withinRow.partialEtaSquared / (1 - withinRow.partialEtaSquared))
+      }),
+      groups: AnovaEngine.groupStats(y, labels, cellLevels, alpha).filter(c => c.n > 0),
+      marginals: marginals,
+      groupLabels: labels,
+      fitted: fitted,
+      residuals: residuals,
+      y: y,
+      matrix: matrix,
+      subjects: data.subjects,
+      subjectMeans: subjectMeans,
+      groupOfSubject: groupOf,
+      alpha: alpha,
+      keptRows: data.keptRows || null,
+      droppedRows: data.droppedSubjects,
+      warnings: warnings
+    };
+  }
+
+  /**
+   * One-way decomposition of a per-subject value over the between groups:
+   * group means, group SS, error SS and the Type III (unweighted-means)
+   * SS of the intercept
+   */
+  static groupParts(values, groupOf, g) {
+    const sums = new Array(g).fill(0);
+    const counts = new Array(g).fill(0);
+    values.forEach((v, i) => {
+      sums[groupOf[i]] += v;
+      counts[groupOf[i]]++;
+    });
+    const means = sums.map((sum, grp) => sum / counts[grp]);
+    const grand = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const unweighted = means.reduce((sum, m) => sum + m, 0) / g;
+    return {
+      means: means,
+      ssGroup: means.reduce((sum, m, grp) => sum + counts[grp] * (m - grand) * (m - grand), 0),
+      ssError: values.reduce((sum, v, i) => sum + (v - means[groupOf[i]]) * (v - means[groupOf[i]]), 0),
+      ssIntercept: g * g * unweighted * unweighted / counts.reduce((sum, c) => sum + 1 / c, 0)
+    };
+  }
+
+  /**
+   * Mauchly's test and the Greenhouse-Geisser / Huynh-Feldt epsilons from the
+   * error SSCP matrix of orthonormal within-subject contrasts
+   * @param {Array<Array<number>>} errorSSCP - p x p
+   * @param {number} dfError - Subjects minus between groups
+   * @param {number} alpha
+   * @returns {Object} { mauchlyW, chiSquare, df, pValue, pass, ggEpsilon, hfEpsilon }
+   *   (test fields NaN when p = 1, where sphericity holds trivially)
+   */
+  static sphericity(errorSSCP, dfError, alpha = 0.05) {
+    const p = errorSSCP.length;
+    if (p === 1) {
+      return { mauchlyW: NaN, chiSquare: NaN, df: 0, pValue: NaN, pass: null, ggEpsilon: 1, hfEpsilon: 1 };
+    }
+
+    const trace = errorSSCP.reduce((sum, row, i) => sum + row[i], 0);
+    const traceSquared = errorSSCP.reduce((sum, row) => sum + row.reduce((a, v) => a + v * v, 0), 0);
+    const ggEpsilon = trace * trace / (p * traceSquared);
+    const hfEpsilon = Math.min(1, ((dfError + 1) * p * ggEpsilon - 2) / (p * (dfError - p * ggEpsilon)));
+
+    let mauchlyW = NaN;
+    let chiSquare = NaN;
+    let pValue = NaN;
+    const df = p * (p + 1) / 2 - 1;
+    if (dfError >= p) {
+      const scaled = errorSSCP.map(row => row.map(v => v / (trace / p)));
+      mauchlyW = Math.max(0, LinearAlgebra.determinant(scaled));
+      chiSquare = -(dfError - (2 * p * p + p + 2) / (6 * p)) * Math.log(mauchlyW);
+      pValue = Distributions.chiSquareSurvival(chiSquare, df);
+    }
+
+    return {
+      mauchlyW: mauchlyW,
+      chiSquare: chiSquare,
+      df: df,
+      pValue: pValue,
+      pass: isNaN(pValue) ? null : pValue > alpha,
+      ggEpsilon: ggEpsilon,
+      hfEpsilon: hfEpsilon < 0 ? NaN : hfEpsilon
+    };
+  }
+
+  /**
+   * Wide layout: complete rows of the condition columns (and between factor)
+   */
+  static wideToMatrix(spec) {
+    const columns = spec.columns || [];
+    if (columns.length < 2) throw new Error('Select at least 2 condition columns');
+    const names = columns.map(c => c.name);
+    if (new Set(names).size !== names.length) throw new Error('Each condition column can be used once');
+    if (spec.between && names.includes(spec.between.name)) {
+      throw new Error('The between-subjects factor cannot also be a condition');
+    }
+
+    const rows = columns[0].data.length;
+    const keptRows = [];
+    for (let i = 0; i < rows; i++) {
+      if (columns.some(c => !isFinite(AnovaEngine.toNumber(c.data[i])))) continue;
+      if (spec.between && AnovaEngine.toLevel(spec.between.data[i]) === null) continue;
+      keptRows.push(i);
+    }
+
+    return {
+      matrix: keptRows.map(i => columns.map(c => AnovaEngine.toNumber(c.data[i]))),
+      conditions: names,
+      between: spec.between ? keptRows.map(i => AnovaEngine.toLevel(spec.between.data[i])) : null,
+      subjects: keptRows.map(i => `Row ${i + 1}`),
+      keptRows: keptRows,
+      droppedSubjects: rows - keptRows.length,
+      withinName: spec.withinName || 'Condition',
+      betweenName: spec.between ? spec.between.name : null
+    };
+  }
+
+  /**
+   * Long layout: one row per subject and condition, pivoted to subjects x conditions
+   */
+  static longToWide(spec) {
+    const { response, subject, within, between } = spec;
+    if (!response || !subject || !within) throw new Error('Select the response, subject and condition columns');
+    const names = [response.name, subject.name, within.name].concat(between ? [between.name] : []);
+    if (new Set(names).size !== names.length) throw new Error('Response, subject, condition and group must be different columns');
+
+    const bySubject = new Map();
+    const levels = [];
+    response.data.forEach((value, i) => {
+      const y = AnovaEngine.toNumber(value);
+      const id = AnovaEngine.toLevel(subject.data[i]);
+      const level = AnovaEngine.toLevel(within.data[i]);
+      const group = between ? AnovaEngine.toLevel(between.data[i]) : '';
+      if (!isFinite(y) || id === null || level === null || group === null) return;
+
+      if (!bySubject.has(id)) bySubject.set(id, { group: group, values: new Map() });
+      const entry = bySubject.get(id);
+      if (entry.values.has(level)) {
+        throw new Error(`Subject ${id} has more than one value for ${within.name} = ${level}`);
+      }
+      if (entry.group !== group) {
+        throw new Error(`Subject ${id} appears in more than one ${between.name} group`);
+      }
+      entry.values.set(level, y);
+      levels.push(level);
+    });
+
+    const conditions = ModelTerms.sortLevels(levels);
+    const complete = [...bySubject.entries()].filter(([, entry]) => conditions.every(c => entry.values.has(c)));
+
+    return {
+      matrix: complete.map(([, entry]) => conditions.map(c => entry.values.get(c))),
+      conditions: conditions,
+      between: between ? complete.map(([, entry]) => entry.group) : null,
+      subjects: complete.map(([id]) => id),
+      droppedSubjects: bySubject.size - complete.length,
+      withinName: within.name,
+      betweenName: between ? between.name : null
+    };
+  }
+
+  // ==========================================================================
+  // TABLE ROWS AND EFFECT SIZES
+  // ==========================================================================
+
+  static sourceRow(source, ss, df, residual, ssTotal) {
+    const ms = df > 0 ? ss / df : NaN;
+    const fStat = df > 0 ? ms / residual.ms : NaN;
+    return Object.assign({
+      source: source,
+      ss: ss,
+      df: df,
+      ms: ms,
+      fStat: fStat,
+      pValue: df > 0 ? Distributions.fSurvival(fStat, df, residual.df) : NaN
+    }, AnovaEngine.effectSizes(ss, df, residual, ssTotal));
+  }
+
+  static effectSizes(ss, df, residual, ssTotal) {
+    return {
+      etaSquared: ss / ssTotal,
+      partialEtaSquared: ss / (ss + residual.ss),
+      omegaSquared: (ss - df * residual.ms) / (ssTotal + residual.ms)
+    };
+  }
+
+  /**
+   * Overall test of all effects against the grand mean
+   */
+  static modelSummary(ssTotal, dfTotal, residual) {
+    const ss = ssTotal - residual.ss;
+    const df = dfTotal - residual.df;
+    const row = AnovaEngine.sourceRow('Model', ss, df, residual, ssTotal);
+    row.cohensF = Math.sqrt(row.etaSquared / (1 - row.etaSquared));
+    return row;
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.AnovaEngine = AnovaEngine;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnovaEngine;
+}
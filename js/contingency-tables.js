@@ -0,0 +1,327 @@
+/**
+ * Contingency Tables
+ * One-way frequency tables and two-way cross-tabulations with tests of
+ * independence for crosstabs.html
+ * Requires js/distributions.js, js/model-terms.js
+ *
+ * Tests on an r x c table of counts:
+ *   Pearson chi-square        sum (O - E)^2 / E, df (r - 1)(c - 1)
+ *   Likelihood-ratio G^2      2 sum O ln(O / E)
+ *   Continuity correction     Yates, 2 x 2 only (as R's chisq.test)
+ *   Fisher's exact test       two-sided: the probability of every table with
+ *                             the observed margins that is no more likely than
+ *                             the observed one (as R's fisher.test). Tables are
+ *                             enumerated, so r x c tables are tested only while
+ *                             the number of tables stays under FISHER_MAX_TABLES.
+ * Association: phi (signed, 2 x 2) and Cramér's V = sqrt(X^2 / (n (min(r, c) - 1))).
+ * Expected counts below MIN_EXPECTED_COUNT are reported as SPSS does; the
+ * chi-square approximation is flagged when more than 20% of the cells (or any
+ * cell below 1) fall short (Cochran's rule).
+ *
+ * Levels are ordered numerically when every value is a number, alphabetically
+ * otherwise. Blank cells are missing; a row of a crosstab is used only when
+ * both of its values are present.
+ */
+
+const MIN_EXPECTED_COUNT = 5;
+const FISHER_MAX_TABLES = 1000000;
+
+class ContingencyTables {
+
+  static toLevel(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+  }
+
+  // ==========================================================================
+  // FREQUENCY TABLE
+  // ==========================================================================
+
+  /**
+   * @param {Array} data - One column
+   * @returns {Object} { rows: [{ value, count, percent, validPercent, cumulativePercent }],
+   *   valid, missing, total }
+   *   percent is of all rows, validPercent and cumulativePercent of the non-missing ones
+   */
+  static frequencies(data) {
+    const levels = data.map(ContingencyTables.toLevel);
+    const valid = levels.filter(l => l !== null);
+    const counts = new Map();
+    valid.forEach(l => counts.set(l, (counts.get(l) || 0) + 1));
+
+    let cumulative = 0;
+    const rows = ModelTerms.sortLevels(valid).map(value => {
+      const count = counts.get(value);
+      cumulative += count;
+      return {
+        value: value,
+        count: count,
+        percent: 100 * count / data.length,
+        validPercent: 100 * count / valid.length,
+        cumulativePercent: 100 * cumulative / valid.length
+      };
+    });
+
+    return {
+      rows: rows,
+      valid: valid.length,
+      missing: data.length - valid.length,
+      total: data.length
+    };
+  }
+
+  // ==========================================================================
+  // CROSS-TABULATION
+  // ==========================================================================
+
+  /**
+   * Counts of every combination of a row and a column variable
+   * @param {Array} rowData
+   * @param {Array} colData - Same length as rowData
+   * @returns {Object} { rowLevels, colLevels, counts, rowTotals, colTotals, n, missing }
+   *   counts[i][j] is the number of rows with rowLevels[i] and colLevels[j]
+   */
+  static crosstab(rowData, colData) {
+    if (rowData.length !== colData.length) {
+      throw new Error(`Row (${rowData.length}) and column (${colData.length}) variables differ in length`);
+    }
+    const pairs = [];
+    rowData.forEach((value, i) => {
+      const r = ContingencyTables.toLevel(value);
+      const c = ContingencyTables.toLevel(colData[i]);
+      if (r !== null && c !== null) pairs.push([r, c]);
+    });
+
+    const rowLevels = ModelTerms.sortLevels(pairs.map(p => p[0]));
+    const colLevels = ModelTerms.sortLevels(pairs.map(p => p[1]));
+    const rowIndex = new Map(rowLevels.map((l, i) => [l, i]));
+    const colIndex = new Map(colLevels.map((l, j) => [l, j]));
+    const counts = rowLevels.map(() => colLevels.map(() => 0));
+    pairs.forEach(([r, c]) => { counts[rowIndex.get(r)][colIndex.get(c)]++; });
+
+    return Object.assign({
+      rowLevels: rowLevels,
+      colLevels: colLevels,
+      missing: rowData.length - pairs.length
+    }, ContingencyTables.margins(counts));
+  }
+
+  static margins(counts) {
+    const rowTotals = counts.map(row => row.reduce((acc, v) => acc + v, 0));
+    const colTotals = counts[0].map((_, j) => counts.reduce((acc, row) => acc + row[j], 0));
+    return {
+      counts: counts,
+      rowTotals: rowTotals,
+      colTotals: colTotals,
+      n: rowTotals.reduce((acc, v) => acc + v, 0)
+    };
+  }
+
+  /**
+   * Row, column and total percentages of each cell
+   * @returns {Object} { row, column, total } matrices shaped like counts
+   */
+  static percentages(counts) {
+    const { rowTotals, colTotals, n } = ContingencyTables.margins(counts);
+    const pct = (v, total) => (total > 0 ? 100 * v / total : NaN);
+    return {
+      row: counts.map((row, i) => row.map(v => pct(v, rowTotals[i]))),
+      column: counts.map(row => row.map((v, j) => pct(v, colTotals[j]))),
+      total: counts.map(row => row.map(v => pct(v, n)))
+    };
+  }
+
+  static expected(counts) {
+    const { rowTotals, colTotals, n } = ContingencyTables.margins(counts);
+    return rowTotals.map(r => colTotals.map(c => r * c / n));
+  }
+
+  // ==========================================================================
+  // TESTS OF INDEPENDENCE
+  // ==========================================================================
+
+  /**
+   * Chi-square tests and measures of association
+   * @param {Array<Array<number>>} counts - r x c table, every margin positive
+   * @returns {Object} { pearson, likelihoodRatio, continuityCorrected, phi,
+   *   cramersV, expected, minExpected, lowExpectedCells, lowExpectedPercent,
+   *   approximationValid, warnings }
+   *   each test is { statistic, df, pValue }; continuityCorrected and phi are
+   *   null unless the table is 2 x 2
+   */
+  static chiSquare(counts) {
+    const r = counts.length;
+    const c = counts[0].length;
+    if (r < 2 || c < 2) {
+      throw new Error(`A test of independence needs at least 2 rows and 2 columns (table is ${r} x ${c})`);
+    }
+    const { rowTotals, colTotals, n } = ContingencyTables.margins(counts);
+    const expected = ContingencyTables.expected(counts);
+    const df = (r - 1) * (c - 1);
+    const is2x2 = r === 2 && c === 2;
+
+    let pearson = 0;
+    let g2 = 0;
+    let yates = 0;
+    counts.forEach((row, i) => row.forEach((o, j) => {
+      const e = expected[i][j];
+      const d = Math.abs(o - e);
+      pearson += d * d / e;
+      if (o > 0) g2 += 2 * o * Math.log(o / e);
+      const corrected = d - Math.min(0.5, d);
+      yates += corrected * corrected / e;
+    }));
+    const test = statistic => ({
+      statistic: statistic,
+      df: df,
+      pValue: Distributions.chiSquareSurvival(statistic, df)
+    });
+
+    const cells = expected.flat();
+    const minExpected = Math.min(...cells);
+    const lowExpectedCells = cells.filter(e => e < MIN_EXPECTED_COUNT).length;
+    const lowExpectedPercent = 100 * lowExpectedCells / cells.length;
+    const approximationValid = lowExpectedPercent <= 20 && minExpected >= 1;
+    const warnings = [];
+    if (lowExpectedCells > 0) {
+      warnings.push(`${lowExpectedCells} cells (${lowExpectedPercent.toFixed(1)}%) have expected count less than ` +
+        `${MIN_EXPECTED_COUNT}. The minimum expected count is ${minExpected.toFixed(2)}.`);
+    }
+    if (!approximationValid) {
+      warnings.push('The chi-square approximation may be inaccurate; use Fisher\'s exact test.');
+    }
+
+    return {
+      pearson: test(pearson),
+      likelihoodRatio: test(g2),
+      continuityCorrected: is2x2 ? test(yates) : null,
+      phi: is2x2
+        ? (counts[0][0] * counts[1][1] - counts[0][1] * counts[1][0]) /
+          Math.sqrt(rowTotals[0] * rowTotals[1] * colTotals[0] * colTotals[1])
+        : null,
+      cramersV: Math.sqrt(pearson / (n * (Math.min(r, c) - 1))),
+      expected: expected,
+      minExpected: minExpected,
+      lowExpectedCells: lowExpectedCells,
+      lowExpectedPercent: lowExpectedPercent,
+      approximationValid: approximationValid,
+      warnings: warnings
+    };
+  }
+
+  /**
+   * Fisher's exact test, two-sided, by enumerating every table with the
+   * observed margins
+   * @param {Array<Array<number>>} counts - r x c table
+   * @param {Object} options
+   *   maxTables  give up after this many tables (default FISHER_MAX_TABLES)
+   * @returns {Object} { pValue, tables } or { pValue: NaN, tables, error } when
+   *   the table is too large to enumerate
+   */
+  static fisherExact(counts, options = {}) {
+    const maxTables = options.maxTables || FISHER_MAX_TABLES;
+    const { rowTotals, colTotals, n } = ContingencyTables.margins(counts);
+    const r = rowTotals.length;
+    const c = colTotals.length;
+
+    const logFactorial = [0];
+    for (let k = 1; k <= n; k++) logFactorial.push(logFactorial[k - 1] + Math.log(k));
+    // log P(table) = constant - sum log(cell!)
+    const constant = rowTotals.reduce((acc, t) => acc + logFactorial[t], 0) +
+      colTotals.reduce((acc, t) => acc + logFactorial[t], 0) - logFactorial[n];
+    const observed = counts.flat().reduce((acc, v) => acc + logFactorial[v], 0);
+    // Tables at most as likely as the observed one, with R's relative tolerance
+    const threshold = constant - observed + Math.log(1 + 1e-7);
+
+    let tables = 0;
+    let pValue = 0;
+    const rowLeft = rowTotals.slice();
+
+    // Fill column j from row i down, with `left` of the column total to place
+    // and `acc` the sum of log(cell!) so far
+    const fill = (j, i, left, acc) => {
+      if (tables > maxTables) return;
+      if (j === c - 1) {
+        // Last column is fixed by what the rows still need
+        const logP = constant - acc - rowLeft.reduce((s, v) => s + logFactorial[v], 0);
+        tables++;
+        if (logP <= threshold) pValue += Math.exp(logP);
+        return;
+      }
+      if (i === r - 1) {
+        if (left > rowLeft[i]) return;
+        rowLeft[i] -= left;
+        fill(j + 1, 0, colTotals[j + 1], acc + logFactorial[left]);
+        rowLeft[i] += left;
+        return;
+      }
+      // Rows below i must be able to take the rest of the column
+      let below = 0;
+      for (let k = i + 1; k < r; k++) below += rowLeft[k];
+      const lo = Math.max(0, left - below);
+      const hi = Math.min(left, rowLeft[i]);
+      for (let v = lo; v <= hi; v++) {
+        rowLeft[i] -= v;
+        fill(j, i + 1, left - v, acc + logFactorial[v]);
+        rowLeft[i] += v;
+      }
+    };
+    fill(0, 0, colTotals[0], 0);
+
+    if (tables > maxTables) {
+      return {
+        pValue: NaN,
+        tables: tables,
+        error: `More than ${maxTables} tables share these margins; too large for the exact test`
+      };
+    }
+    return { pValue: Math.min(1, pValue), tables: tables };
+  }
+
+  // ==========================================================================
+  // FULL ANALYSIS
+  // ==========================================================================
+
+  /**
+   * Cross-tabulation of two columns with every test
+   * @param {Object} rowVar - { name, data }
+   * @param {Object} colVar - { name, data }
+   * @returns {Object} crosstab() fields plus { rowName, colName, percentages,
+   *   chiSquare, fisher, warnings }
+   */
+  static analyze(rowVar, colVar) {
+    const table = ContingencyTables.crosstab(rowVar.data, colVar.data);
+    if (table.rowLevels.length < 2 || table.colLevels.length < 2) {
+      throw new Error(`${table.rowLevels.length < 2 ? rowVar.name : colVar.name} needs at least 2 categories with data`);
+    }
+    const chiSquare = ContingencyTables.chiSquare(table.counts);
+    const fisher = ContingencyTables.fisherExact(table.counts);
+    const warnings = chiSquare.warnings.slice();
+    if (fisher.error) warnings.push(fisher.error);
+    if (table.missing > 0) {
+      warnings.push(table.missing === 1
+        ? '1 row with a missing value was excluded.'
+        : `${table.missing} rows with a missing value were excluded.`);
+    }
+
+    return Object.assign(table, {
+      rowName: rowVar.name,
+      colName: colVar.name,
+      percentages: ContingencyTables.percentages(table.counts),
+      chiSquare: chiSquare,
+      fisher: fisher,
+      warnings: warnings
+    });
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.ContingencyTables = ContingencyTables;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContingencyTables;
+}
@@ -0,0 +1,317 @@
+/**
+ * Correlations
+ * Correlation matrices with tests and confidence intervals, and partial
+ * correlations, for correlation-analysis.html and the results popup
+ * Requires js/distributions.js, js/linear-algebra.js
+ *
+ * Methods:
+ *   pearson   product-moment r; t test on n - 2 df
+ *   spearman  Pearson r of the midranks; t approximation on n - 2 df (as SPSS)
+ *   kendall   tau-b, adjusted for ties; normal approximation with the
+ *             tie-corrected variance of S (R's cor.test(exact = FALSE))
+ * Confidence intervals back-transform a normal interval for Fisher's
+ * z = atanh(r), with SE 1 / sqrt(n - 3) for Pearson, sqrt((1 + r^2 / 2) / (n - 3))
+ * for Spearman (Bonett & Wright 2000) and sqrt(0.437 / (n - 4)) for Kendall
+ * (Fieller, Hartley & Pearson 1957).
+ *
+ * Missing values: pairwise deletion uses every row where both variables are
+ * present, so n can differ by pair; listwise deletion keeps only rows where
+ * every selected variable is present. Logical (TRUE / FALSE) cells count as
+ * missing, not as 1 / 0.
+ *
+ * Partial correlations remove the linear effect of the control variables from
+ * both variables (rows complete on all of them) and correlate the residuals;
+ * Spearman partials rank the columns first. Each control costs one degree of
+ * freedom: df = n - 2 - k and the z SE uses n - 3 - k.
+ */
+
+const CORRELATION_METHODS = {
+  pearson: 'Pearson r',
+  spearman: 'Spearman ρ',
+  kendall: 'Kendall τ-b'
+};
+
+class Correlations {
+
+  static toNumber(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') return NaN;
+    return Number(value);
+  }
+
+  // ==========================================================================
+  // COEFFICIENTS
+  // ==========================================================================
+
+  static pearson(x, y) {
+    const n = x.length;
+    const mx = x.reduce((acc, v) => acc + v, 0) / n;
+    const my = y.reduce((acc, v) => acc + v, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (x[i] - mx) * (y[i] - my);
+      sxx += (x[i] - mx) * (x[i] - mx);
+      syy += (y[i] - my) * (y[i] - my);
+    }
+    return sxx > 0 && syy > 0 ? Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy))) : NaN;
+  }
+
+  /**
+   * Midranks (ties share the average of their ranks), 1-based
+   */
+  static ranks(values) {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const ranks = new Array(values.length);
+    let i = 0;
+    while (i < order.length) {
+      let j = i;
+      while (j + 1 < order.length && values[order[j + 1]] === values[order[i]]) j++;
+      for (let k = i; k <= j; k++) ranks[order[k]] = (i + j) / 2 + 1;
+      i = j + 1;
+    }
+    return ranks;
+  }
+
+  static spearman(x, y) {
+    return Correlations.pearson(Correlations.ranks(x), Correlations.ranks(y));
+  }
+
+  /**
+   * Kendall's tau-b with the z statistic of S = concordant - discordant
+   * @returns {Object} { tau, z }
+   */
+  static kendall(x, y) {
+    const n = x.length;
+    let s = 0;
+    for (let i = 0; i < n - 1; i++) {
+      for (let j = i + 1; j < n; j++) {
+        s += Math.sign(x[i] - x[j]) * Math.sign(y[i] - y[j]);
+      }
+    }
+
+    // Tie-group sizes
+    const ties = values => {
+      const counts = new Map();
+      values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+      return [...counts.values()].filter(t => t > 1);
+    };
+    const sum = (groups, fn) => groups.reduce((acc, t) => acc + fn(t), 0);
+    const tx = ties(x);
+    const ty = ties(y);
+    const n0 = n * (n - 1) / 2;
+    const n1 = sum(tx, t => t * (t - 1) / 2);
+    const n2 = sum(ty, t => t * (t - 1) / 2);
+    const denominator = Math.sqrt((n0 - n1) * (n0 - n2));
+    const tau = denominator > 0 ? s / denominator : NaN;
+
+    const variance = (n * (n - 1) * (2 * n + 5) -
+        sum(tx, t => t * (t - 1) * (2 * t + 5)) - sum(ty, t => t * (t - 1) * (2 * t + 5))) / 18 +
+      sum(tx, t => t * (t - 1)) * sum(ty, t => t * (t - 1)) / (2 * n * (n - 1)) +
+      (n > 2 ? sum(tx, t => t * (t - 1) * (t - 2)) * sum(ty, t => t * (t - 1) * (t - 2)) / (9 * n * (n - 1) * (n - 2)) : 0);
+    return { tau: tau, z: variance > 0 ? s / Math.sqrt(variance) : NaN };
+  }
+
+  // ==========================================================================
+  // INFERENCE
+  // ==========================================================================
+
+  /**
+   * Coefficient, test and Fisher z interval for one pair of complete columns
+   * @param {Array<number>} x
+   * @param {Array<number>} y
+   * @param {Object} options
+   *   method    'pearson' | 'spearman' | 'kendall' (default 'pearson')
+   *   alpha     for the confidence interval (default 0.05)
+   * @returns {Object} { r, n, statistic, df, pValue, ciLower, ciUpper }
+   *   statistic is t (df n - 2) or z for Kendall (df null); NaN below 3 rows
+   */
+  static test(x, y, options = {}) {
+    const method = options.method || 'pearson';
+    const alpha = options.alpha || 0.05;
+    const n = x.length;
+    if (!CORRELATION_METHODS[method]) throw new Error(`Unknown correlation method: ${method}`);
+
+    const result = { r: NaN, n: n, statistic: NaN, df: null, pValue: NaN, ciLower: NaN, ciUpper: NaN };
+    if (n < 3) return result;
+
+    if (method !== 'kendall') {
+      const r = method === 'spearman' ? Correlations.spearman(x, y) : Correlations.pearson(x, y);
+      return Correlations.inference(r, n, method, alpha);
+    }
+
+    const { tau, z } = Correlations.kendall(x, y);
+    result.r = tau;
+    result.statistic = z;
+    result.pValue = isFinite(z) ? 2 * Distributions.normalCdf(-Math.abs(z)) : NaN;
+    return Object.assign(result, Correlations.interval(tau, n > 4 ? Math.sqrt(0.437 / (n - 4)) : NaN, alpha));
+  }
+
+  /**
+   * t test and Fisher z interval of a Pearson or Spearman coefficient r from
+   * n rows with k variables partialled out (NaN without a residual df)
+   */
+  static inference(r, n, method, alpha, k = 0) {
+    const df = n - 2 - k;
+    if (df < 1) {
+      return { r: NaN, n: n, statistic: NaN, df: df, pValue: NaN, ciLower: NaN, ciUpper: NaN };
+    }
+    const seZ = n - 3 - k > 0
+      ? Math.sqrt((method === 'spearman' ? 1 + r * r / 2 : 1) / (n - 3 - k))
+      : NaN;
+    const statistic = Math.abs(r) < 1 ? r * Math.sqrt(df / (1 - r * r)) : Math.sign(r) * Infinity;
+    return Object.assign({
+      r: r,
+      n: n,
+      statistic: statistic,
+      df: df,
+      pValue: isNaN(r) ? NaN : Math.abs(r) < 1 ? Distributions.tPValue(statistic, df) : 0
+    }, Correlations.interval(r, seZ, alpha));
+  }
+
+  static interval(r, seZ, alpha) {
+    if (Math.abs(r) === 1) return { ciLower: r, ciUpper: r };
+    if (!isFinite(r) || !isFinite(seZ)) return { ciLower: NaN, ciUpper: NaN };
+    const z = Math.atanh(r);
+    const half = Distributions.normalQuantile(1 - alpha / 2) * seZ;
+    return { ciLower: Math.tanh(z - half), ciUpper: Math.tanh(z + half) };
+  }
+
+  // ==========================================================================
+  // MATRICES
+  // ==========================================================================
+
+  /**
+   * All pairwise correlations of a set of columns
+   * @param {Array<Object>} variables - [{ name, data }]
+   * @param {Object} options
+   *   method    'pearson' | 'spearman' | 'kendall' (default 'pearson')
+   *   deletion  'pairwise' | 'listwise' (default 'pairwise'; partial
+   *             correlations are always listwise)
+   *   alpha     for the confidence intervals (default 0.05)
+   *   controls  [{ name, data }] variables to partial out (Pearson and Spearman)
+   * @returns {Object} { names, method, deletion, controls, alpha, r, n, statistic,
+   *   df, pValue, ciLower, ciUpper, pairs, droppedRows, warnings }
+   *   the matrices are indexed like `variables` (diagonal r = 1); pairs lists
+   *   each i < j once with the same fields plus { x, y }
+   */
+  static matrix(variables, options = {}) {
+    const method = options.method || 'pearson';
+    const alpha = options.alpha || 0.05;
+    const controls = options.controls || [];
+    const deletion = controls.length > 0 ? 'listwise' : (options.deletion || 'pairwise');
+    if (!CORRELATION_METHODS[method]) throw new Error(`Unknown correlation method: ${method}`);
+    if (controls.length > 0 && method === 'kendall') {
+      throw new Error('Partial correlations are available for Pearson and Spearman only');
+    }
+    if (variables.length < 2) throw new Error('Select at least 2 variables');
+    const controlNames = controls.map(c => c.name);
+    variables.forEach(v => {
+      if (controlNames.includes(v.name)) throw new Error(`${v.name} cannot be both correlated and controlled for`);
+    });
+
+    const columns = variables.map(v => v.data.map(Correlations.toNumber));
+    const controlColumns = controls.map(c => c.data.map(Correlations.toNumber));
+    const nRows = Math.min(...columns.concat(controlColumns).map(c => c.length));
+    const rows = Array.from({ length: nRows }, (_, i) => i);
+    const complete = rows.filter(i => columns.concat(controlColumns).every(c => isFinite(c[i])));
+
+    // Listwise columns (ranked for Spearman), residualized on the controls
+    let prepared = null;
+    let k = 0;
+    const warnings = [];
+    if (deletion === 'listwise') {
+      prepared = columns.map(c => complete.map(i => c[i]));
+      if (controls.length > 0) {
+        let Z = controlColumns.map(c => complete.map(i => c[i]));
+        if (method === 'spearman') {
+          prepared = prepared.map(Correlations.ranks);
+          Z = Z.map(Correlations.ranks);
+        }
+        const design = complete.map((_, row) => [1].concat(Z.map(z => z[row])));
+        const decomp = LinearAlgebra.qr(design);
+        k = decomp.rank - 1;
+        if (k < controls.length) warnings.push('The control variables are collinear; the redundant ones were ignored.');
+        prepared = prepared.map(col => {
+          const qty = LinearAlgebra.qrQty(decomp, col);
+          for (let j = 0; j < decomp.rank; j++) qty[j] = 0;
+          return LinearAlgebra.qrQy(decomp, qty);
+        });
+      }
+    }
+    const p = variables.length;
+    const blank = fill => Array.from({ length: p }, () => new Array(p).fill(fill));
+    const result = {
+      names: variables.map(v => v.name),
+      method: method,
+      deletion: deletion,
+      controls: controlNames,
+      alpha: alpha,
+      r: blank(NaN),
+      n: blank(0),
+      statistic: blank(NaN),
+      df: blank(null),
+      pValue: blank(NaN),
+      ciLower: blank(NaN),
+      ciUpper: blank(NaN),
+      pairs: [],
+      droppedRows: deletion === 'listwise' ? nRows - complete.length : 0,
+      warnings: warnings
+    };
+
+    for (let i = 0; i < p; i++) {
+      const ni = deletion === 'listwise' ? complete.length : rows.filter(row => isFinite(columns[i][row])).length;
+      result.r[i][i] = 1;
+      result.n[i][i] = ni;
+      for (let j = i + 1; j < p; j++) {
+        let x;
+        let y;
+        if (prepared) {
+          x = prepared[i];
+          y = prepared[j];
+        } else {
+          const used = rows.filter(row => isFinite(columns[i][row]) && isFinite(columns[j][row]));
+          x = used.map(row => columns[i][row]);
+          y = used.map(row => columns[j][row]);
+        }
+        // Partial coefficients correlate the (already ranked) residuals
+        const t = controls.length > 0
+          ? Correlations.inference(Correlations.pearson(x, y), x.length, method, alpha, k)
+          : Correlations.test(x, y, { method: method, alpha: alpha });
+        ['r', 'n', 'statistic', 'df', 'pValue', 'ciLower', 'ciUpper'].forEach(key => {
+          result[key][i][j] = t[key];
+          result[key][j][i] = t[key];
+        });
+        result.pairs.push(Object.assign({ x: result.names[i], y: result.names[j] }, t));
+        if (isNaN(t.r)) warnings.push(`${result.names[i]} × ${result.names[j]}: too few complete rows or no variation`);
+      }
+    }
+    return result;
+  }
+
+  // ==========================================================================
+  // DISPLAY
+  // ==========================================================================
+
+  /**
+   * Heatmap fill for a coefficient: blue for negative, red for positive,
+   * stronger as |r| approaches 1
+   */
+  static heatmapColor(r) {
+    if (!isFinite(r)) return 'transparent';
+    const a = Math.min(1, Math.abs(r));
+    return r >= 0
+      ? `rgba(231, 76, 60, ${(0.1 + 0.8 * a).toFixed(2)})`
+      : `rgba(52, 152, 219, ${(0.1 + 0.8 * a).toFixed(2)})`;
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.Correlations = Correlations;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Correlations;
+}
@@ -0,0 +1,315 @@
+/**
+ * Descriptive Statistics
+ * Summary statistics for one numeric variable, shared by every page that
+ * shows descriptives
+ * Requires js/distributions.js, js/model-terms.js (level order for split())
+ *
+ * - Quantiles: the nine Hyndman & Fan (1996) definitions of R's quantile();
+ *   type 7 is Excel QUARTILE.INC / PERCENTILE.INC (R's default) and type 6 is
+ *   Excel QUARTILE.EXC / PERCENTILE.EXC (also SPSS and Minitab). EXC positions
+ *   outside the data are clamped to the min / max instead of Excel's #NUM!.
+ *   The median, quartiles and box plots all use the chosen type, so the
+ *   median is the type's 50% quantile (types 1 and 3 pick an observation).
+ * - Skewness and excess kurtosis are the adjusted sample estimates G1 and G2
+ *   (Excel SKEW and KURT, SPSS) with their standard errors.
+ * - Trimmed and winsorized means drop / clamp floor(n * trim) values at each
+ *   end (as R's mean(x, trim)); the default trim of 5% matches SPSS.
+ * - MAD is the median absolute deviation from the conventional median (mean
+ *   of the two middle values, whatever the quantile type); madScaled multiplies
+ *   it by 1.4826 to estimate the SD of normal data (R's mad()).
+ *
+ * - split() divides a column by a categorical column for grouped descriptives;
+ *   boxplot() gives the quartiles, Tukey whiskers and outliers of a box plot.
+ *
+ * Missing, non-numeric and logical (TRUE / FALSE) values are dropped and
+ * counted in `missing`.
+ */
+
+const QUANTILE_TYPES = {
+  1: 'Type 1: inverse of the empirical CDF',
+  2: 'Type 2: inverse ECDF, averaged at jumps',
+  3: 'Type 3: nearest even order statistic (SAS)',
+  4: 'Type 4: linear interpolation of the ECDF',
+  5: 'Type 5: piecewise linear, midpoints of the steps',
+  6: 'Type 6: Excel QUARTILE.EXC (SPSS, Minitab)',
+  7: 'Type 7: Excel QUARTILE.INC (R default)',
+  8: 'Type 8: median-unbiased',
+  9: 'Type 9: approximately unbiased for normal data'
+};
+const DEFAULT_QUANTILE_TYPE = 7;
+const DEFAULT_TRIM = 0.05;
+
+class DescriptiveStats {
+
+  // Blanks, text and Excel TRUE / FALSE cells are missing (NaN)
+  static toNumber(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') return NaN;
+    return Number(value);
+  }
+
+  static clean(values) {
+    return values.map(DescriptiveStats.toNumber).filter(v => isFinite(v));
+  }
+
+  /**
+   * @param {Array} values - Raw values (blanks and text are counted as missing)
+   * @param {Object} options
+   *   alpha         for the confidence interval of the mean (default 0.05)
+   *   quantileType  1-9, see QUANTILE_TYPES (default 7)
+   *   trim          proportion cut at each end for trimmed / winsorized means (default 0.05)
+   * @returns {Object} { n, missing, sum, mean, variance, sd, se, ciLower, ciUpper,
+   *   min, q1, median, q3, max, range, iqr, trimmedMean, winsorizedMean, mad,
+   *   madScaled, cv, mode, modeCount, skewness, skewnessSE, kurtosis, kurtosisSE,
+   *   alpha, quantileType, trim }
+   *   Statistics that need more observations than available are NaN; mode is
+   *   [] when no value repeats.
+   */
+  static summarize(values, options = {}) {
+    const alpha = options.alpha || 0.05;
+    const quantileType = options.quantileType || DEFAULT_QUANTILE_TYPE;
+    const trim = options.trim !== undefined ? options.trim : DEFAULT_TRIM;
+    if (!QUANTILE_TYPES[quantileType]) throw new Error(`Unknown quantile type: ${quantileType}`);
+    if (!(trim >= 0 && trim < 0.5)) throw new Error('Trim proportion must be in [0, 0.5)');
+
+    const x = DescriptiveStats.clean(values);
+    const n = x.length;
+    const sorted = x.slice().sort((a, b) => a - b);
+    const result = {
+      n: n,
+      missing: values.length - n,
+      alpha: alpha,
+      quantileType: quantileType,
+      trim: trim
+    };
+    if (n === 0) {
+      ['sum', 'mean', 'variance', 'sd', 'se', 'ciLower', 'ciUpper', 'min', 'q1', 'median', 'q3', 'max',
+        'range', 'iqr', 'trimmedMean', 'winsorizedMean', 'mad', 'madScaled', 'cv', 'skewness',
+        'skewnessSE', 'kurtosis', 'kurtosisSE'].forEach(key => { result[key] = NaN; });
+      return Object.assign(result, { mode: [], modeCount: 0 });
+    }
+
+    const sum = x.reduce((acc, v) => acc + v, 0);
+    const mean = sum / n;
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    x.forEach(v => {
+      const d = v - mean;
+      m2 += d * d;
+      m3 += d * d * d;
+      m4 += d * d * d * d;
+    });
+    const variance = n > 1 ? m2 / (n - 1) : NaN;
+    const sd = Math.sqrt(variance);
+    const se = sd / Math.sqrt(n);
+    const tCrit = n > 1 ? Distributions.tCritical(alpha, n - 1) : NaN;
+
+    const quantile = p => DescriptiveStats.quantile(sorted, p, quantileType);
+    const median = quantile(0.5);
+    // MAD always uses the conventional median, as R's mad()
+    const center = DescriptiveStats.quantile(sorted, 0.5, 7);
+    const deviations = sorted.map(v => Math.abs(v - center)).sort((a, b) => a - b);
+    const mad = DescriptiveStats.quantile(deviations, 0.5, 7);
+    const { mode, modeCount } = DescriptiveStats.mode(sorted);
+    const q1 = quantile(0.25);
+    const q3 = quantile(0.75);
+
+    return Object.assign(result, {
+      sum: sum,
+      mean: mean,
+      variance: variance,
+      sd: sd,
+      se: se,
+      ciLower: mean - tCrit * se,
+      ciUpper: mean + tCrit * se,
+      min: sorted[0],
+      q1: q1,
+      median: median,
+      q3: q3,
+      max: sorted[n - 1],
+      range: sorted[n - 1] - sorted[0],
+      iqr: q3 - q1,
+      trimmedMean: DescriptiveStats.trimmedMean(sorted, trim),
+      winsorizedMean: DescriptiveStats.winsorizedMean(sorted, trim),
+      mad: mad,
+      madScaled: 1.4826 * mad,
+      cv: mean !== 0 ? sd / Math.abs(mean) : NaN,
+      mode: mode,
+      modeCount: modeCount
+    }, DescriptiveStats.shape(n, m2, m3, m4));
+  }
+
+  // ==========================================================================
+  // QUANTILES
+  // ==========================================================================
+
+  /**
+   * Hyndman & Fan sample quantile, as R's quantile(x, p, type)
+   * @param {Array<number>} sorted - Ascending values
+   * @param {number} p - Probability in [0, 1]
+   * @param {number} type - 1-9
+   */
+  static quantile(sorted, p, type = DEFAULT_QUANTILE_TYPE) {
+    const n = sorted.length;
+    if (n === 0) return NaN;
+    const fuzz = 4 * Number.EPSILON;
+    // Order statistic k (1-based), clamped to the data
+    const at = k => sorted[Math.min(n, Math.max(1, k)) - 1];
+
+    let j;
+    let h;
+    if (type <= 3) {
+      const nppm = type === 3 ? n * p - 0.5 : n * p;
+      j = Math.floor(nppm + fuzz);
+      if (type === 1) h = nppm > j ? 1 : 0;
+      else if (type === 2) h = nppm > j ? 1 : 0.5;
+      else h = nppm !== j || j % 2 === 1 ? 1 : 0;
+    } else {
+      // Plotting position p(k) = (k - a) / (n + 1 - a - b)
+      const ab = { 4: [0, 1], 5: [0.5, 0.5], 6: [0, 0], 7: [1, 1], 8: [1 / 3, 1 / 3], 9: [3 / 8, 3 / 8] }[type];
+      const nppm = ab[0] + p * (n + 1 - ab[0] - ab[1]);
+      j = Math.floor(nppm + fuzz);
+      h = nppm - j;
+      if (Math.abs(h) < fuzz) h = 0;
+    }
+    if (h === 0) return at(j);
+    return (1 - h) * at(j) + h * at(j + 1);
+  }
+
+  /**
+   * Several quantiles of unsorted values
+   */
+  static quantiles(values, probs, type = DEFAULT_QUANTILE_TYPE) {
+    const sorted = DescriptiveStats.clean(values).sort((a, b) => a - b);
+    return probs.map(p => DescriptiveStats.quantile(sorted, p, type));
+  }
+
+  /**
+   * Box-plot summary with Tukey fences at 1.5 IQR beyond the quartiles
+   * @returns {Object} { n, q1, median, q3, lowerWhisker, upperWhisker, outliers }
+   *   whiskers end at the most extreme values inside the fences
+   */
+  static boxplot(values, type = DEFAULT_QUANTILE_TYPE) {
+    const sorted = DescriptiveStats.clean(values).sort((a, b) => a - b);
+    const q1 = DescriptiveStats.quantile(sorted, 0.25, type);
+    const q3 = DescriptiveStats.quantile(sorted, 0.75, type);
+    const lowerFence = q1 - 1.5 * (q3 - q1);
+    const upperFence = q3 + 1.5 * (q3 - q1);
+    const inside = sorted.filter(v => v >= lowerFence && v <= upperFence);
+    return {
+      n: sorted.length,
+      q1: q1,
+      median: DescriptiveStats.quantile(sorted, 0.5, type),
+      q3: q3,
+      lowerWhisker: inside.length > 0 ? inside[0] : NaN,
+      upperWhisker: inside.length > 0 ? inside[inside.length - 1] : NaN,
+      outliers: sorted.filter(v => v < lowerFence || v > upperFence)
+    };
+  }
+
+  // ==========================================================================
+  // GROUPS
+  // ==========================================================================
+
+  /**
+   * Values split by a label per observation. Observations with a blank label
+   * are dropped; groups are in factor level order (ModelTerms.sortLevels), so
+   * grouped descriptives list groups as the regression lists levels.
+   * @param {Array} values - Raw values (kept raw so each group counts its own missing)
+   * @param {Array} labels - Group of each value, same length as values
+   * @returns {Array<Object>} [{ group, values }]
+   */
+  static split(values, labels) {
+    if (values.length !== labels.length) {
+      throw new Error(`Values (${values.length}) and group labels (${labels.length}) differ in length`);
+    }
+    const groups = new Map();
+    labels.forEach((label, i) => {
+      if (label === null || label === undefined) return;
+      const group = String(label).trim();
+      if (group === '') return;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(values[i]);
+    });
+    return ModelTerms.sortLevels([...groups.keys()]).map(group => ({ group: group, values: groups.get(group) }));
+  }
+
+  // ==========================================================================
+  // ROBUST LOCATION
+  // ==========================================================================
+
+  static trimmedMean(sorted, trim) {
+    const n = sorted.length;
+    const g = Math.floor(n * trim);
+    const kept = sorted.slice(g, n - g);
+    return kept.reduce((acc, v) => acc + v, 0) / kept.length;
+  }
+
+  static winsorizedMean(sorted, trim) {
+    const n = sorted.length;
+    const g = Math.floor(n * trim);
+    const lo = sorted[g];
+    const hi = sorted[n - 1 - g];
+    return sorted.reduce((acc, v) => acc + Math.min(hi, Math.max(lo, v)), 0) / n;
+  }
+
+  /**
+   * Most frequent value(s); none when every value occurs once
+   * @returns {Object} { mode: [values], modeCount }
+   */
+  static mode(sorted) {
+    let best = 0;
+    let modes = [];
+    let i = 0;
+    while (i < sorted.length) {
+      let j = i;
+      while (j < sorted.length && sorted[j] === sorted[i]) j++;
+      const count = j - i;
+      if (count > best) {
+        best = count;
+        modes = [sorted[i]];
+      } else if (count === best) {
+        modes.push(sorted[i]);
+      }
+      i = j;
+    }
+    return best > 1 ? { mode: modes, modeCount: best } : { mode: [], modeCount: 1 };
+  }
+
+  // ==========================================================================
+  // SHAPE
+  // ==========================================================================
+
+  /**
+   * Adjusted skewness G1 (n >= 3) and excess kurtosis G2 (n >= 4) from the
+   * sums of squared, cubed and fourth-power deviations, with standard errors
+   */
+  static shape(n, s2, s3, s4) {
+    let skewness = NaN;
+    let skewnessSE = NaN;
+    let kurtosis = NaN;
+    let kurtosisSE = NaN;
+    if (n >= 3 && s2 > 0) {
+      const g1 = (s3 / n) / Math.pow(s2 / n, 1.5);
+      skewness = g1 * Math.sqrt(n * (n - 1)) / (n - 2);
+      skewnessSE = Math.sqrt(6 * n * (n - 1) / ((n - 2) * (n + 1) * (n + 3)));
+    }
+    if (n >= 4 && s2 > 0) {
+      const g2 = (s4 / n) / Math.pow(s2 / n, 2) - 3;
+      kurtosis = (n - 1) / ((n - 2) * (n - 3)) * ((n + 1) * g2 + 6);
+      kurtosisSE = 2 * Math.sqrt(6 * n * (n - 1) / ((n - 2) * (n + 1) * (n + 3))) *
+        Math.sqrt((n * n - 1) / ((n - 3) * (n + 5)));
+    }
+    return { skewness: skewness, skewnessSE: skewnessSE, kurtosis: kurtosis, kurtosisSE: kurtosisSE };
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.DescriptiveStats = DescriptiveStats;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DescriptiveStats;
+}
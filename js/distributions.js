@@ -0,0 +1,852 @@
+/**
+ * Probability Distributions
+ * Shared CDFs and quantiles used by every regression/ANOVA page
+ * No dependencies - completely self-contained
+ *
+ * Special functions:
+ * - Log-gamma (Lanczos), log-beta
+ * - Regularized incomplete beta and gamma (continued fractions) and their inverses
+ *
+ * Distributions:
+ * - Normal, Student's t, F, Chi-square (CDF, upper tail, quantile)
+ * - Noncentral t (Lenth, AS 243) and noncentral F (Poisson mixture)
+ * - Studentized range (Copenhaver & Holland 1988, as in R's ptukey/qtukey)
+ * - Dunnett's two-sided many-to-one distribution (multivariate t with the
+ *   product correlation structure of comparisons against a common control)
+ *
+ * Upper-tail functions are computed directly (not as 1 - CDF) so that
+ * small p-values keep their full precision.
+ */
+
+const DIST_EPS = 1e-15;
+const DIST_FPMIN = 1e-300;
+const DIST_MAX_ITER = 500;
+
+// Gauss-Legendre nodes and weights (positive half; the rules are symmetric)
+const DIST_LEGENDRE_12 = {
+  x: [0.981560634246719250690549090149, 0.904117256370474856678465866119,
+    0.769902674194304687036893833213, 0.587317954286617447296702418941,
+    0.367831498998180193752691536644, 0.125233408511468915472441369464],
+  w: [0.047175336386511827194615961485, 0.106939325995318430960254718194,
+    0.160078328543346226334652529543, 0.203167426723065921749064455810,
+    0.233492536538354808760849898925, 0.249147045813402785000562436043]
+};
+const DIST_LEGENDRE_16 = {
+  x: [0.989400934991649932596154173450, 0.944575023073232576077988415535,
+    0.865631202387831743880467897712, 0.755404408355003033895101194847,
+    0.617876244402643748446671764049, 0.458016777657227386342419442984,
+    0.281603550779258913230460501460, 0.950125098376374401853193354250e-1],
+  w: [0.271524594117540948517805724560e-1, 0.622535239386478928628438369944e-1,
+    0.951585116824927848099251076022e-1, 0.124628971255533872052476282192,
+    0.149595988816576732081501730547, 0.169156519395002538189312079030,
+    0.182603415044923588866763667969, 0.189450610455068496285396723208]
+};
+
+const LANCZOS_G = 7;
+const LANCZOS_COEFFS = [
+  0.99999999999980993,
+  676.5203681218851,
+  -1259.1392167224028,
+  771.32342877765313,
+  -176.61502916214059,
+  12.507343278686905,
+  -0.13857109526572012,
+  9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+class Distributions {
+  // ==========================================================================
+  // SPECIAL FUNCTIONS
+  // ==========================================================================
+
+  /**
+   * Natural log of the gamma function (Lanczos approximation, ~15 digits)
+   * @param {number} x - Argument (> 0)
+   * @returns {number}
+   */
+  static logGamma(x) {
+    if (x < 0.5) {
+      // Reflection formula
+      return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - Distributions.logGamma(1 - x);
+    }
+    x -= 1;
+    let sum = LANCZOS_COEFFS[0];
+    for (let i = 1; i < LANCZOS_G + 2; i++) {
+      sum += LANCZOS_COEFFS[i] / (x + i);
+    }
+    const t = x + LANCZOS_G + 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+  }
+
+  /**
+   * Natural log of the beta function B(a, b)
+   */
+  static logBeta(a, b) {
+    return Distributions.logGamma(a) + Distributions.logGamma(b) - Distributions.logGamma(a + b);
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b)
+   * @param {number} x - Upper limit in [0, 1]
+   * @param {number} a - Shape a (> 0)
+   * @param {number} b - Shape b (> 0)
+   * @returns {number}
+   */
+  static regularizedBeta(x, a, b) {
+    if (isNaN(x) || isNaN(a) || isNaN(b)) return NaN;
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - Distributions.logBeta(a, b));
+
+    // The continued fraction converges fastest for x < (a + 1) / (a + b + 2)
+    if (x < (a + 1) / (a + b + 2)) {
+      return front * Distributions.betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * Distributions.betaContinuedFraction(1 - x, b, a) / b;
+  }
+
+  /**
+   * Continued fraction for the incomplete beta function (modified Lentz)
+   */
+  static betaContinuedFraction(x, a, b) {
+    const qab = a + b;
+    const qap = a + 1;
+    const qam = a - 1;
+    let c = 1;
+    let d = 1 - qab * x / qap;
+    if (Math.abs(d) < DIST_FPMIN) d = DIST_FPMIN;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= DIST_MAX_ITER; m++) {
+      const m2 = 2 * m;
+
+      // Even step
+      let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < DIST_FPMIN) d = DIST_FPMIN;
+      c = 1 + aa / c;
+      if (Math.abs(c) < DIST_FPMIN) c = DIST_FPMIN;
+      d = 1 / d;
+      h *= d * c;
+
+      // Odd step
+      aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < DIST_FPMIN) d = DIST_FPMIN;
+      c = 1 + aa / c;
+      if (Math.abs(c) < DIST_FPMIN) c = DIST_FPMIN;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+
+      if (Math.abs(del - 1) < DIST_EPS) break;
+    }
+    return h;
+  }
+
+  /**
+   * Inverse of the regularized incomplete beta: x such that I_x(a, b) = p
+   */
+  static inverseRegularizedBeta(p, a, b) {
+    if (isNaN(p) || p < 0 || p > 1) return NaN;
+    if (p === 0) return 0;
+    if (p === 1) return 1;
+
+    const a1 = a - 1;
+    const b1 = b - 1;
+    let x;
+
+    // Initial guess (Numerical Recipes, 3rd ed., invbetai)
+    if (a >= 1 && b >= 1) {
+      const pp = p < 0.5 ? p : 1 - p;
+      const t = Math.sqrt(-2 * Math.log(pp));
+      let z = (2.30753 + t * 0.27061) / (1 + t * (0.99229 + t * 0.04481)) - t;
+      if (p < 0.5) z = -z;
+      const al = (z * z - 3) / 6;
+      const h = 2 / (1 / (2 * a - 1) + 1 / (2 * b - 1));
+      const w = (z * Math.sqrt(al + h) / h) -
+        (1 / (2 * b - 1) - 1 / (2 * a - 1)) * (al + 5 / 6 - 2 / (3 * h));
+      x = a / (a + b * Math.exp(2 * w));
+    } else {
+      const lna = Math.log(a / (a + b));
+      const lnb = Math.log(b / (a + b));
+      const t = Math.exp(a * lna) / a;
+      const u = Math.exp(b * lnb) / b;
+      const w = t + u;
+      x = p < t / w ? Math.pow(a * w * p, 1 / a) : 1 - Math.pow(b * w * (1 - p), 1 / b);
+    }
+
+    const afac = -Distributions.logBeta(a, b);
+
+    // Halley refinement
+    for (let j = 0; j < 100; j++) {
+      if (x <= 0 || x >= 1) break;
+      const err = Distributions.regularizedBeta(x, a, b) - p;
+      let t = Math.exp(a1 * Math.log(x) + b1 * Math.log(1 - x) + afac);
+      const u = err / t;
+      t = u / (1 - 0.5 * Math.min(1, u * (a1 / x - b1 / (1 - x))));
+      x -= t;
+      if (x <= 0) x = 0.5 * (x + t);
+      if (x >= 1) x = 0.5 * (x + t + 1);
+      if (Math.abs(t) < 1e-14 * x && j > 0) break;
+    }
+    return x;
+  }
+
+  /**
+   * Regularized lower incomplete gamma function P(a, x)
+   */
+  static regularizedGammaP(a, x) {
+    if (isNaN(a) || isNaN(x)) return NaN;
+    if (x <= 0) return 0;
+    if (x === Infinity) return 1;
+    if (x < a + 1) {
+      return Distributions.gammaSeries(a, x);
+    }
+    return 1 - Distributions.gammaContinuedFraction(a, x);
+  }
+
+  /**
+   * Regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x)
+   */
+  static regularizedGammaQ(a, x) {
+    if (isNaN(a) || isNaN(x)) return NaN;
+    if (x <= 0) return 1;
+    if (x === Infinity) return 0;
+    if (x < a + 1) {
+      return 1 - Distributions.gammaSeries(a, x);
+    }
+    return Distributions.gammaContinuedFraction(a, x);
+  }
+
+  /**
+   * Series representation of P(a, x)
+   */
+  static gammaSeries(a, x) {
+    let ap = a;
+    let del = 1 / a;
+    let sum = del;
+    for (let n = 1; n <= DIST_MAX_ITER * 2; n++) {
+      ap += 1;
+      del *= x / ap;
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * DIST_EPS) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - Distributions.logGamma(a));
+  }
+
+  /**
+   * Continued fraction representation of Q(a, x) (modified Lentz)
+   */
+  static gammaContinuedFraction(a, x) {
+    let b = x + 1 - a;
+    let c = 1 / DIST_FPMIN;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i <= DIST_MAX_ITER; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < DIST_FPMIN) d = DIST_FPMIN;
+      c = b + an / c;
+      if (Math.abs(c) < DIST_FPMIN) c = DIST_FPMIN;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < DIST_EPS) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - Distributions.logGamma(a)) * h;
+  }
+
+  /**
+   * Inverse of P(a, x): x such that P(a, x) = p
+   */
+  static inverseRegularizedGammaP(p, a) {
+    if (isNaN(p) || p < 0 || p > 1 || a <= 0) return NaN;
+    if (p === 0) return 0;
+    if (p === 1) return Infinity;
+
+    const a1 = a - 1;
+    const gln = Distributions.logGamma(a);
+    let lna1 = 0;
+    let afac = 0;
+    let x;
+
+    // Initial guess (Numerical Recipes, 3rd ed., invgammp)
+    if (a > 1) {
+      lna1 = Math.log(a1);
+      afac = Math.exp(a1 * (lna1 - 1) - gln);
+      const pp = p < 0.5 ? p : 1 - p;
+      const t = Math.sqrt(-2 * Math.log(pp));
+      let z = (2.30753 + t * 0.27061) / (1 + t * (0.99229 + t * 0.04481)) - t;
+      if (p < 0.5) z = -z;
+      x = Math.max(1e-3, a * Math.pow(1 - 1 / (9 * a) - z / (3 * Math.sqrt(a)), 3));
+    } else {
+      const t = 1 - a * (0.253 + a * 0.12);
+      x = p < t ? Math.pow(p / t, 1 / a) : 1 - Math.log(1 - (p - t) / (1 - t));
+    }
+
+    // Halley refinement
+    for (let j = 0; j < 100; j++) {
+      if (x <= 0) return 0;
+      const err = Distributions.regularizedGammaP(a, x) - p;
+      let t = a > 1
+        ? afac * Math.exp(-(x - a1) + a1 * (Math.log(x) - lna1))
+        : Math.exp(-x + a1 * Math.log(x) - gln);
+      const u = err / t;
+      t = u / (1 - 0.5 * Math.min(1, u * (a1 / x - 1)));
+      x -= t;
+      if (x <= 0) x = 0.5 * (x + t);
+      if (Math.abs(t) < 1e-14 * x) break;
+    }
+    return x;
+  }
+
+  // ==========================================================================
+  // NORMAL DISTRIBUTION
+  // ==========================================================================
+
+  static normalPdf(x, mean = 0, sd = 1) {
+    const z = (x - mean) / sd;
+    return Math.exp(-0.5 * z * z) / (sd * Math.sqrt(2 * Math.PI));
+  }
+
+  /**
+   * Normal CDF, accurate in both tails
+   */
+  static normalCdf(x, mean = 0, sd = 1) {
+    const z = (x - mean) / sd;
+    if (isNaN(z)) return NaN;
+    if (z < 0) {
+      return 0.5 * Distributions.regularizedGammaQ(0.5, 0.5 * z * z);
+    }
+    return 0.5 + 0.5 * Distributions.regularizedGammaP(0.5, 0.5 * z * z);
+  }
+
+  /**
+   * Normal quantile (Wichura, AS 241 - PPND16, ~16 digits)
+   */
+  static normalQuantile(p, mean = 0, sd = 1) {
+    if (isNaN(p) || p < 0 || p > 1) return NaN;
+    if (p === 0) return -Infinity;
+    if (p === 1) return Infinity;
+
+    const q = p - 0.5;
+    let r;
+    let z;
+
+    if (Math.abs(q) <= 0.425) {
+      r = 0.180625 - q * q;
+      z = q * (((((((r * 2509.0809287301226727 +
+        33430.575583588128105) * r + 67265.770927008700853) * r +
+        45921.953931549871457) * r + 13731.693765509461125) * r +
+        1971.5909503065514427) * r + 133.14166789178437745) * r +
+        3.387132872796366608) /
+        (((((((r * 5226.495278852545925 +
+        28729.085735721942674) * r + 39307.89580009271061) * r +
+        21213.794301586595867) * r + 5394.1960214247511077) * r +
+        687.1870074920579083) * r + 42.313330701600911252) * r + 1);
+      return mean + sd * z;
+    }
+
+    r = q < 0 ? p : 1 - p;
+    r = Math.sqrt(-Math.log(r));
+
+    if (r <= 5) {
+      r -= 1.6;
+      z = (((((((r * 7.7454501427834140764e-4 +
+        0.0227238449892691845833) * r + 0.24178072517745061177) * r +
+        1.27045825245236838258) * r + 3.64784832476320460504) * r +
+        5.7694972214606914055) * r + 4.6303378461565452959) * r +
+        1.42343711074968357734) /
+        (((((((r * 1.05075007164441684324e-9 +
+        5.475938084995344946e-4) * r + 0.0151986665636164571966) * r +
+        0.14810397642748007459) * r + 0.68976733498510000455) * r +
+        1.6763848301838038494) * r + 2.05319162663775882187) * r + 1);
+    } else {
+      r -= 5;
+      z = (((((((r * 2.01033439929228813265e-7 +
+        2.71155556874348757815e-5) * r + 0.0012426609473880784386) * r +
+        0.026532189526576123093) * r + 0.29656057182850489123) * r +
+        1.7848265399172913358) * r + 5.4637849111641143699) * r +
+        6.6579046435011037772) /
+        (((((((r * 2.04426310338993978564e-15 +
+        1.4215117583164458887e-7) * r + 1.8463183175100546818e-5) * r +
+        7.868691311456132591e-4) * r + 0.0148753612908506148525) * r +
+        0.13692988092273580531) * r + 0.59983220655588793769) * r + 1);
+    }
+
+    if (q < 0) z = -z;
+    return mean + sd * z;
+  }
+
+  // ==========================================================================
+  // STUDENT'S t DISTRIBUTION
+  // ==========================================================================
+
+  static tPdf(t, df) {
+    if (df === Infinity) return Distributions.normalPdf(t);
+    return Math.exp(
+      Distributions.logGamma((df + 1) / 2) - Distributions.logGamma(df / 2) -
+      0.5 * Math.log(df * Math.PI) - ((df + 1) / 2) * Math.log(1 + t * t / df)
+    );
+  }
+
+  /**
+   * Student's t CDF: P(T <= t)
+   */
+  static tCdf(t, df) {
+    if (isNaN(t) || isNaN(df) || df <= 0) return NaN;
+    if (df === Infinity) return Distributions.normalCdf(t);
+    if (t === Infinity) return 1;
+    if (t === -Infinity) return 0;
+    const tail = 0.5 * Distributions.tTailBeta(t, df);
+    return t > 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Upper tail of Student's t: P(T > t)
+   */
+  static tSurvival(t, df) {
+    return Distributions.tCdf(-t, df);
+  }
+
+  /**
+   * P-value for a t statistic
+   * @param {number} t - Test statistic
+   * @param {number} df - Degrees of freedom
+   * @param {number} tails - 2 (default) for two-sided, 1 for upper-tailed
+   */
+  static tPValue(t, df, tails = 2) {
+    if (isNaN(t)) return NaN;
+    if (tails === 1) return Distributions.tSurvival(t, df);
+    if (df === Infinity) return 2 * Distributions.normalCdf(-Math.abs(t));
+    return Math.min(1, Distributions.tTailBeta(t, df));
+  }
+
+  /**
+   * P(|T| > |t|) through the incomplete beta, choosing the argument
+   * that avoids cancellation for both small and large |t|
+   */
+  static tTailBeta(t, df) {
+    const t2 = t * t;
+    const inner = Distributions.regularizedBeta(t2 / (df + t2), 0.5, df / 2); // P(|T| <= |t|)
+    if (inner < 0.5) {
+      return 1 - inner;
+    }
+    return Distributions.regularizedBeta(df / (df + t2), df / 2, 0.5);
+  }
+
+  /**
+   * Student's t quantile: t such that P(T <= t) = p
+   */
+  static tQuantile(p, df) {
+    if (isNaN(p) || p < 0 || p > 1 || !(df > 0)) return NaN;
+    if (p === 0) return -Infinity;
+    if (p === 1) return Infinity;
+    if (p === 0.5) return 0;
+    if (df === Infinity) return Distributions.normalQuantile(p);
+
+    const tail = 2 * Math.min(p, 1 - p); // P(|T| > |t|)
+    let t;
+    if (tail < 0.5) {
+      const x = Distributions.inverseRegularizedBeta(tail, df / 2, 0.5);
+      t = Math.sqrt(df * (1 - x) / x);
+    } else {
+      const y = Distributions.inverseRegularizedBeta(1 - tail, 0.5, df / 2);
+      t = Math.sqrt(df * y / (1 - y));
+    }
+    return p < 0.5 ? -t : t;
+  }
+
+  /**
+   * Two-sided critical value: t such that P(|T| > t) = alpha
+   */
+  static tCritical(alpha, df) {
+    return Distributions.tQuantile(1 - alpha / 2, df);
+  }
+
+  // ==========================================================================
+  // F DISTRIBUTION
+  // ==========================================================================
+
+  static fPdf(f, df1, df2) {
+    if (f < 0) return 0;
+    if (f === 0) return df1 === 2 ? 1 : (df1 < 2 ? Infinity : 0);
+    return Math.exp(
+      0.5 * df1 * Math.log(df1) + 0.5 * df2 * Math.log(df2) + (0.5 * df1 - 1) * Math.log(f) -
+      0.5 * (df1 + df2) * Math.log(df2 + df1 * f) - Distributions.logBeta(df1 / 2, df2 / 2)
+    );
+  }
+
+  /**
+   * F CDF: P(F <= f)
+   */
+  static fCdf(f, df1, df2) {
+    if (isNaN(f) || !(df1 > 0) || !(df2 > 0)) return NaN;
+    if (f <= 0) return 0;
+    if (f === Infinity) return 1;
+    return Distributions.regularizedBeta(df1 * f / (df1 * f + df2), df1 / 2, df2 / 2);
+  }
+
+  /**
+   * Upper tail of F: P(F > f) - the usual ANOVA p-value
+   */
+  static fSurvival(f, df1, df2) {
+    if (isNaN(f) || !(df1 > 0) || !(df2 > 0)) return NaN;
+    if (f <= 0) return 1;
+    if (f === Infinity) return 0;
+    return Distributions.regularizedBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+  }
+
+  /**
+   * F quantile: f such that P(F <= f) = p
+   */
+  static fQuantile(p, df1, df2) {
+    if (isNaN(p) || p < 0 || p > 1 || !(df1 > 0) || !(df2 > 0)) return NaN;
+    if (p === 0) return 0;
+    if (p === 1) return Infinity;
+    if (p > 0.5) {
+      // Invert the upper tail for precision near 1
+      const y = Distributions.inverseRegularizedBeta(1 - p, df2 / 2, df1 / 2);
+      return df2 * (1 - y) / (df1 * y);
+    }
+    const x = Distributions.inverseRegularizedBeta(p, df1 / 2, df2 / 2);
+    return df2 * x / (df1 * (1 - x));
+  }
+
+  // ==========================================================================
+  // CHI-SQUARE DISTRIBUTION
+  // ==========================================================================
+
+  static chiSquarePdf(x, df) {
+    if (x < 0) return 0;
+    if (x === 0) return df === 2 ? 0.5 : (df < 2 ? Infinity : 0);
+    const k = df / 2;
+    return Math.exp((k - 1) * Math.log(x) - x / 2 - k * Math.log(2) - Distributions.logGamma(k));
+  }
+
+  /**
+   * Chi-square CDF: P(X <= x)
+   */
+  static chiSquareCdf(x, df) {
+    if (isNaN(x) || !(df > 0)) return NaN;
+    return Distributions.regularizedGammaP(df / 2, x / 2);
+  }
+
+  /**
+   * Upper tail of chi-square: P(X > x)
+   */
+  static chiSquareSurvival(x, df) {
+    if (isNaN(x) || !(df > 0)) return NaN;
+    return Distributions.regularizedGammaQ(df / 2, x / 2);
+  }
+
+  /**
+   * Chi-square quantile: x such that P(X <= x) = p
+   */
+  static chiSquareQuantile(p, df) {
+    if (isNaN(p) || p < 0 || p > 1 || !(df > 0)) return NaN;
+    return 2 * Distributions.inverseRegularizedGammaP(p, df / 2);
+  }
+
+  // ==========================================================================
+  // NONCENTRAL DISTRIBUTIONS
+  // ==========================================================================
+
+  /**
+   * Noncentral t CDF: P(T <= t) with noncentrality delta (Lenth 1989, AS 243)
+   */
+  static noncentralTCdf(t, df, delta) {
+    if (isNaN(t) || !(df > 0) || isNaN(delta)) return NaN;
+    if (delta === 0) return Distributions.tCdf(t, df);
+    if (t === Infinity) return 1;
+    if (t === -Infinity) return 0;
+
+    const ITRMAX = 1000;
+    const ERRMAX = 1e-12;
+
+    let negdel = false;
+    let tt = t;
+    let del = delta;
+    if (t < 0) {
+      negdel = true;
+      tt = -t;
+      del = -delta;
+    }
+
+    const x = tt * tt / (tt * tt + df);
+    let tnc = 0;
+
+    if (x > 0) {
+      const lambda = del * del;
+      let p = 0.5 * Math.exp(-0.5 * lambda);
+      let q = Math.sqrt(2 / Math.PI) * p * del;
+      let s = 0.5 - p;
+      if (s < 1e-7) s = -0.5 * Math.expm1(-0.5 * lambda);
+      let a = 0.5;
+      const b = 0.5 * df;
+      const rxb = Math.pow(1 - x, b);
+      const albeta = 0.5 * Math.log(Math.PI) + Distributions.logGamma(b) - Distributions.logGamma(0.5 + b);
+      let xodd = Distributions.regularizedBeta(x, a, b);
+      let godd = 2 * rxb * Math.exp(a * Math.log(x) - albeta);
+      const bx = b * x;
+      let xeven = bx < Number.EPSILON ? bx : 1 - rxb;
+      let geven = bx * rxb;
+      tnc = p * xodd + q * xeven;
+
+      for (let it = 1; it <= ITRMAX; it++) {
+        a += 1;
+        xodd -= godd;
+        xeven -= geven;
+        godd *= x * (a + b - 1) / a;
+        geven *= x * (a + b - 0.5) / (a + 0.5);
+        p *= lambda / (2 * it);
+        q *= lambda / (2 * it + 1);
+        tnc += p * xodd + q * xeven;
+        s -= p;
+        if (s <= 0 && it > 1) break;
+        const errbd = 2 * s * (xodd - godd);
+        if (Math.abs(errbd) < ERRMAX) break;
+      }
+    }
+
+    tnc += Distributions.normalCdf(-del);
+    tnc = Math.min(Math.max(tnc, 0), 1);
+    return negdel ? 1 - tnc : tnc;
+  }
+
+  /**
+   * Noncentral F CDF: P(F <= f) with noncentrality lambda
+   * Poisson(lambda/2) mixture of central beta CDFs, summed outward from the mode
+   */
+  static noncentralFCdf(f, df1, df2, lambda) {
+    if (isNaN(f) || !(df1 > 0) || !(df2 > 0) || !(lambda >= 0)) return NaN;
+    if (lambda === 0) return Distributions.fCdf(f, df1, df2);
+    if (f <= 0) return 0;
+    if (f === Infinity) return 1;
+
+    const x = df1 * f / (df1 * f + df2);
+    const half = lambda / 2;
+    const mode = Math.floor(half);
+    const logWeight = j => -half + j * Math.log(half) - Distributions.logGamma(j + 1);
+
+    let sum = 0;
+
+    // Upward from the mode
+    for (let j = mode; j < mode + 10000; j++) {
+      const w = Math.exp(logWeight(j));
+      sum += w * Distributions.regularizedBeta(x, df1 / 2 + j, df2 / 2);
+      if (w < 1e-16 && j > mode) break;
+    }
+    // Downward from the mode
+    for (let j = mode - 1; j >= 0; j--) {
+      const w = Math.exp(logWeight(j));
+      sum += w * Distributions.regularizedBeta(x, df1 / 2 + j, df2 / 2);
+      if (w < 1e-16) break;
+    }
+
+    return Math.min(Math.max(sum, 0), 1);
+  }
+
+  /**
+   * Upper tail of noncentral F: P(F > f), used for power calculations
+   */
+  static noncentralFSurvival(f, df1, df2, lambda) {
+    return 1 - Distributions.noncentralFCdf(f, df1, df2, lambda);
+  }
+
+  // ==========================================================================
+  // MULTIPLE COMPARISON DISTRIBUTIONS
+  // ==========================================================================
+
+  /**
+   * E[fn(s)] where s = sqrt(chi-square(df) / df) is the ratio of the sample
+   * to the true standard deviation. Gauss-Legendre over unit (or shorter)
+   * intervals of u = 2 s^2, as in R's ptukey; fn(1) when df is very large.
+   */
+  static integrateOverScale(df, fn) {
+    if (df > 25000) return fn(1);
+
+    const half = df / 2;
+    const ulen = df <= 100 ? 1 : df <= 800 ? 0.5 : df <= 5000 ? 0.25 : 0.125;
+    const leading = half * Math.log(df) - df * Math.LN2 - Distributions.logGamma(half) + Math.log(ulen);
+    const nodes = DIST_LEGENDRE_16;
+
+    let total = 0;
+    for (let i = 1; i <= 50; i++) {
+      const center = (2 * i - 1) * ulen;
+      let interval = 0;
+      for (let j = 0; j < nodes.x.length; j++) {
+        [-1, 1].forEach(sign => {
+          const u = center + sign * nodes.x[j] * ulen;
+          const logDensity = leading + (half - 1) * Math.log(u) - u * df / 4;
+          if (logDensity >= -30) {
+            interval += nodes.w[j] * Math.exp(logDensity) * fn(Math.sqrt(u / 2));
+          }
+        });
+      }
+      // At least 1/ulen intervals so the left tail is not missed
+      if (i * ulen >= 1 && interval <= 1e-14) break;
+      total += interval;
+    }
+    return total;
+  }
+
+  /**
+   * Distribution of the range of cc independent standard normals: P(range <= w)
+   * (Hartley's form; rr > 1 gives the maximum of rr independent ranges)
+   */
+  static normalRangeCdf(w, cc, rr = 1) {
+    const qsqz = w * 0.5;
+    if (qsqz >= 8) return 1;
+
+    // First term: P(all within +/- w/2)
+    let prW = 2 * Distributions.normalCdf(qsqz) - 1;
+    prW = prW >= Math.exp(-50 / cc) ? Math.pow(prW, cc) : 0;
+
+    // Second term: integral over [w/2, 8]
+    const intervals = w > 3 ? 2 : 3;
+    const width = (8 - qsqz) / intervals;
+    const nodes = DIST_LEGENDRE_12;
+    let integral = 0;
+    for (let i = 0; i < intervals; i++) {
+      const a = qsqz + (i + 0.5) * width;
+      const b = 0.5 * width;
+      let sum = 0;
+      for (let j = 0; j < nodes.x.length; j++) {
+        [-1, 1].forEach(sign => {
+          const ac = a + sign * b * nodes.x[j];
+          const qexpo = ac * ac;
+          if (qexpo > 60) return;
+          const inside = Distributions.normalCdf(ac) - Distributions.normalCdf(ac - w);
+          if (inside >= Math.exp(-30 / (cc - 1))) {
+            sum += nodes.w[j] * Math.exp(-0.5 * qexpo) * Math.pow(inside, cc - 1);
+          }
+        });
+      }
+      integral += sum * 2 * b * cc / Math.sqrt(2 * Math.PI);
+    }
+
+    prW += integral;
+    if (prW <= Math.exp(-30 / rr)) return 0;
+    return Math.min(1, Math.pow(prW, rr));
+  }
+
+  /**
+   * Studentized range CDF: P(Q <= q) for nmeans means and df error degrees
+   * of freedom (R's ptukey)
+   */
+  static tukeyCdf(q, nmeans, df, nranges = 1) {
+    if (isNaN(q) || nmeans < 2 || !(df >= 2)) return NaN;
+    if (q <= 0) return 0;
+    if (q === Infinity) return 1;
+    const p = Distributions.integrateOverScale(df, s => Distributions.normalRangeCdf(q * s, nmeans, nranges));
+    return Math.min(1, p);
+  }
+
+  /**
+   * Upper tail of the studentized range: the Tukey HSD p-value
+   */
+  static tukeySurvival(q, nmeans, df, nranges = 1) {
+    return Math.max(0, 1 - Distributions.tukeyCdf(q, nmeans, df, nranges));
+  }
+
+  /**
+   * Studentized range quantile (R's qtukey)
+   */
+  static tukeyQuantile(p, nmeans, df, nranges = 1) {
+    if (isNaN(p) || p < 0 || p > 1 || nmeans < 2 || !(df >= 2)) return NaN;
+    if (p === 0) return 0;
+    if (p === 1) return Infinity;
+    return Distributions.solveIncreasing(q => Distributions.tukeyCdf(q, nmeans, df, nranges), p, 3);
+  }
+
+  /**
+   * Dunnett's two-sided distribution: P(max |T_i| <= t) where the T_i are
+   * t statistics comparing each treatment with a common control.
+   * @param {number} t
+   * @param {Array<number>} lambdas - sqrt(n_i / (n_i + n_control)) per
+   *   treatment; corr(T_i, T_j) = lambda_i * lambda_j
+   * @param {number} df - Error degrees of freedom (Infinity for known variance)
+   */
+  static dunnettCdf(t, lambdas, df) {
+    if (isNaN(t) || lambdas.length === 0 || !(df > 0)) return NaN;
+    if (t <= 0) return 0;
+    if (t === Infinity) return 1;
+
+    // Given the control's standardized mean z, the comparisons are independent
+    const scales = lambdas.map(l => Math.sqrt(1 - l * l));
+    const nodes = DIST_LEGENDRE_16;
+    const normalPart = bound => {
+      let total = 0;
+      for (let panel = -8; panel < 8; panel += 2) {
+        const center = panel + 1;
+        for (let j = 0; j < nodes.x.length; j++) {
+          [-1, 1].forEach(sign => {
+            const z = center + sign * nodes.x[j];
+            let product = 1;
+            for (let i = 0; i < lambdas.length && product > 0; i++) {
+              product *= Distributions.normalCdf((bound + lambdas[i] * z) / scales[i]) -
+                Distributions.normalCdf((-bound + lambdas[i] * z) / scales[i]);
+            }
+            total += nodes.w[j] * Distributions.normalPdf(z) * product;
+          });
+        }
+      }
+      return total;
+    };
+
+    const p = df === Infinity ? normalPart(t) : Distributions.integrateOverScale(df, s => normalPart(t * s));
+    return Math.min(1, Math.max(0, p));
+  }
+
+  /**
+   * Upper tail of Dunnett's distribution: the adjusted p-value of |t|
+   */
+  static dunnettSurvival(t, lambdas, df) {
+    return Math.max(0, 1 - Distributions.dunnettCdf(t, lambdas, df));
+  }
+
+  /**
+   * Two-sided Dunnett critical value: t such that P(max |T_i| <= t) = p
+   */
+  static dunnettQuantile(p, lambdas, df) {
+    if (isNaN(p) || p < 0 || p > 1) return NaN;
+    if (p === 0) return 0;
+    if (p === 1) return Infinity;
+    return Distributions.solveIncreasing(t => Distributions.dunnettCdf(t, lambdas, df), p, 2);
+  }
+
+  /**
+   * Solve cdf(x) = p for an increasing CDF on (0, Infinity): bracket from
+   * the starting guess, then bisect
+   */
+  static solveIncreasing(cdf, p, guess) {
+    let lo = 0;
+    let hi = guess;
+    while (cdf(hi) < p && hi < 1e4) {
+      lo = hi;
+      hi *= 2;
+    }
+    for (let i = 0; i < DIST_MAX_ITER && hi - lo > 1e-7 * hi; i++) {
+      const mid = 0.5 * (lo + hi);
+      if (cdf(mid) < p) lo = mid;
+      else hi = mid;
+    }
+    return 0.5 * (lo + hi);
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.Distributions = Distributions;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Distributions;
+}
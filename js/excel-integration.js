@@ -97,8 +97,7 @@ class ExcelIntegration {
         }
       }
       
-      // Add categorical X variables (for now, treat as numeric)
-      // TODO: Implement proper dummy coding for categorical variables
+      // Add categorical X variables (contrast-coded below)
       if (modelSpec.xc && modelSpec.xc.length > 0) {
         for (const varName of modelSpec.xc) {
           if (modelSpec.ranges[varName]) {
@@ -125,11 +124,20 @@ class ExcelIntegration {
         }
       }
       
-      // Add categorical predictors (as numeric for now)
+      // Add categorical predictors as k-1 contrast columns (see js/model-terms.js);
+      // rows in categories left out of the selection drop out as missing
+      const contrasts = modelSpec.contrasts || {};
+      const selections = modelSpec.categories || {};
       if (modelSpec.xc) {
         for (const varName of modelSpec.xc) {
-          X.push(data[varName]);
-          xVarNames.push(varName + ' (Cat)');
+          const allLevels = ModelTerms.sortLevels(data[varName]);
+          const selected = selections[varName] ? selections[varName].map(String) : null;
+          const levels = selected ? allLevels.filter(level => selected.includes(String(level))) : allLevels;
+          const source = ModelTerms.categoricalSource(varName, data[varName], levels, contrasts[varName]);
+          source.columns.forEach(col => {
+            X.push(col.data);
+            xVarNames.push(col.name);
+          });
         }
       }
       
@@ -165,60 +173,23 @@ class ExcelIntegration {
   }
 
   /**
-   * Calculate descriptive statistics for a variable
+   * Calculate descriptive statistics for a variable (requires js/descriptive-stats.js)
    * @param {Array} data - Array of values
+   * @param {Object} options - { alpha, quantileType, trim }, see DescriptiveStats.summarize
    * @returns {Object} - Descriptive statistics
    */
-  calculateDescriptiveStats(data) {
-    const cleanData = data.filter(val => val !== null && val !== undefined && val !== '' && !isNaN(val));
-    
-    if (cleanData.length === 0) {
-      return {
-        n: 0,
-        mean: NaN,
-        median: NaN,
-        sd: NaN,
-        min: NaN,
-        max: NaN,
-        q1: NaN,
-        q3: NaN
-      };
-    }
-    
-    const sorted = cleanData.slice().sort((a, b) => a - b);
-    const n = cleanData.length;
-    const mean = cleanData.reduce((sum, val) => sum + val, 0) / n;
-    const variance = cleanData.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / (n - 1);
-    const sd = Math.sqrt(variance);
-    
-    const median = n % 2 === 0 
-      ? (sorted[n/2 - 1] + sorted[n/2]) / 2 
-      : sorted[Math.floor(n/2)];
-    
-    const q1Index = Math.floor(n * 0.25);
-    const q3Index = Math.floor(n * 0.75);
-    const q1 = sorted[q1Index];
-    const q3 = sorted[q3Index];
-    
-    return {
-      n: n,
-      mean: mean,
-      median: median,
-      sd: sd,
-      min: sorted[0],
-      max: sorted[n - 1],
-      q1: q1,
-      q3: q3
-    };
+  calculateDescriptiveStats(data, options = {}) {
+    return DescriptiveStats.summarize(data, options);
   }
 
   /**
-   * Store regression results in sessionStorage
+   * Store regression results in sessionStorage (without the design matrix and
+   * QR factorization, see OLSEngine.serializable)
    * @param {Object} results - Regression results
    */
   storeResults(results) {
     try {
-      sessionStorage.setItem('regressionResults', JSON.stringify(results));
+      sessionStorage.setItem('regressionResults', JSON.stringify(OLSEngine.serializable(results)));
       console.log('💾 Results stored in sessionStorage');
     } catch (error) {
       console.error('Failed to store results:', error);
@@ -0,0 +1,423 @@
+/**
+ * Linear Algebra Helpers
+ * Dense matrix routines shared by the regression and ANOVA engines
+ * No dependencies - completely self-contained
+ *
+ * Matrices are arrays of rows (row-major): A[i][j] is row i, column j.
+ */
+
+class LinearAlgebra {
+
+  // ==========================================================================
+  // BASIC OPERATIONS
+  // ==========================================================================
+
+  /**
+   * Matrix transpose
+   */
+  static transpose(matrix) {
+    if (matrix.length === 0) return [];
+    const rows = matrix.length;
+    const cols = matrix[0].length;
+    const result = [];
+    for (let j = 0; j < cols; j++) {
+      const row = new Array(rows);
+      for (let i = 0; i < rows; i++) {
+        row[i] = matrix[i][j];
+      }
+      result.push(row);
+    }
+    return result;
+  }
+
+  /**
+   * Matrix product A * B
+   */
+  static multiply(A, B) {
+    const rowsA = A.length;
+    const colsA = A[0].length;
+    const colsB = B[0].length;
+    const result = [];
+    for (let i = 0; i < rowsA; i++) {
+      const row = new Array(colsB).fill(0);
+      for (let k = 0; k < colsA; k++) {
+        const aik = A[i][k];
+        if (aik === 0) continue;
+        const Bk = B[k];
+        for (let j = 0; j < colsB; j++) {
+          row[j] += aik * Bk[j];
+        }
+      }
+      result.push(row);
+    }
+    return result;
+  }
+
+  /**
+   * Matrix-vector product A * v
+   */
+  static multiplyVector(A, v) {
+    return A.map(row => row.reduce((sum, val, j) => sum + val * v[j], 0));
+  }
+
+  /**
+   * Cross product X'X without forming X'
+   */
+  static crossProduct(X) {
+    const k = X[0].length;
+    const result = Array.from({ length: k }, () => new Array(k).fill(0));
+    for (const row of X) {
+      for (let i = 0; i < k; i++) {
+        const xi = row[i];
+        if (xi === 0) continue;
+        for (let j = i; j < k; j++) {
+          result[i][j] += xi * row[j];
+        }
+      }
+    }
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < i; j++) {
+        result[i][j] = result[j][i];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * X'v without forming X'
+   */
+  static crossProductVector(X, v) {
+    const k = X[0].length;
+    const result = new Array(k).fill(0);
+    X.forEach((row, i) => {
+      for (let j = 0; j < k; j++) {
+        result[j] += row[j] * v[i];
+      }
+    });
+    return result;
+  }
+
+  static dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+  }
+
+  static identity(n) {
+    return Array.from({ length: n }, (_, i) =>
+      Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+    );
+  }
+
+  // ==========================================================================
+  // INVERSION
+  // ==========================================================================
+
+  /**
+   * Matrix inversion using Gauss-Jordan elimination with partial pivoting
+   * Throws when a pivot is (numerically) zero
+   */
+  static inverse(matrix) {
+    const n = matrix.length;
+    const augmented = matrix.map((row, i) => [
+      ...row,
+      ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+    ]);
+
+    const scale = Math.max(...matrix.map(row => Math.max(...row.map(Math.abs))), 0);
+    const tolerance = 1e-12 * (scale || 1);
+
+    for (let i = 0; i < n; i++) {
+      let maxRow = i;
+      for (let r = i + 1; r < n; r++) {
+        if (Math.abs(augmented[r][i]) > Math.abs(augmented[maxRow][i])) {
+          maxRow = r;
+        }
+      }
+      [augmented[i], augmented[maxRow]] = [augmented[maxRow], augmented[i]];
+
+      const pivot = augmented[i][i];
+      if (Math.abs(pivot) < tolerance) {
+        throw new Error('Matrix is singular or near-singular');
+      }
+
+      for (let j = 0; j < 2 * n; j++) {
+        augmented[i][j] /= pivot;
+      }
+
+      for (let r = 0; r < n; r++) {
+        if (r === i) continue;
+        const factor = augmented[r][i];
+        if (factor === 0) continue;
+        for (let j = 0; j < 2 * n; j++) {
+          augmented[r][j] -= factor * augmented[i][j];
+        }
+      }
+    }
+
+    return augmented.map(row => row.slice(n));
+  }
+
+  /**
+   * Determinant by Gaussian elimination with partial pivoting
+   */
+  static determinant(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => row.slice());
+    let det = 1;
+
+    for (let i = 0; i < n; i++) {
+      let maxRow = i;
+      for (let r = i + 1; r < n; r++) {
+        if (Math.abs(a[r][i]) > Math.abs(a[maxRow][i])) maxRow = r;
+      }
+      if (a[maxRow][i] === 0) return 0;
+      if (maxRow !== i) {
+        [a[i], a[maxRow]] = [a[maxRow], a[i]];
+        det = -det;
+      }
+      det *= a[i][i];
+      for (let r = i + 1; r < n; r++) {
+        const factor = a[r][i] / a[i][i];
+        for (let j = i; j < n; j++) a[r][j] -= factor * a[i][j];
+      }
+    }
+    return det;
+  }
+
+  // ==========================================================================
+  // EIGENVALUES
+  // ==========================================================================
+
+  /**
+   * Eigenvalues of a symmetric matrix by cyclic Jacobi rotations, largest first
+   */
+  static symmetricEigenvalues(matrix, tol = 1e-12, maxSweeps = 100) {
+    const n = matrix.length;
+    const a = matrix.map(row => row.slice());
+    const total = a.reduce((sum, row) => sum + row.reduce((s, v) => s + v * v, 0), 0);
+
+    for (let sweep = 0; sweep < maxSweeps; sweep++) {
+      let off = 0;
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) off += a[i][j] * a[i][j];
+      }
+      if (off <= tol * tol * total) break;
+
+      for (let p = 0; p < n - 1; p++) {
+        for (let q = p + 1; q < n; q++) {
+          if (a[p][q] === 0) continue;
+          // Rotation angle that zeroes a[p][q]
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const s = t * c;
+          for (let k = 0; k < n; k++) {
+            const akp = a[k][p];
+            const akq = a[k][q];
+            a[k][p] = c * akp - s * akq;
+            a[k][q] = s * akp + c * akq;
+          }
+          for (let k = 0; k < n; k++) {
+            const apk = a[p][k];
+            const aqk = a[q][k];
+            a[p][k] = c * apk - s * aqk;
+            a[q][k] = s * apk + c * aqk;
+          }
+        }
+      }
+    }
+
+    return a.map((row, i) => row[i]).sort((x, y) => y - x);
+  }
+
+  // ==========================================================================
+  // QR DECOMPOSITION
+  // ==========================================================================
+
+  /**
+   * Householder QR with limited column pivoting (the LINPACK dqrdc2 strategy
+   * used by R's lm): columns are processed in their original order, and a
+   * column whose remaining norm falls below tol times its original norm is
+   * moved to the end. Those trailing columns are linearly dependent on the
+   * ones before them, so term order decides which of two duplicates is aliased.
+   *
+   * @param {Array<Array>} A - n x k matrix (row-major)
+   * @param {number} tol - Relative tolerance for rank detection
+   * @returns {Object} { qr, qraux, pivot, rank, n, k }
+   *   qr[j]    column j of the factored matrix (column-major): R on and above
+   *            the diagonal, the Householder vector below it
+   *   qraux[j] first component of Householder vector j
+   *   pivot[j] original column index of factored column j
+   */
+  static qr(A, tol = 1e-7) {
+    const n = A.length;
+    const k = n > 0 ? A[0].length : 0;
+    const qr = Array.from({ length: k }, (_, j) => A.map(row => row[j]));
+    const pivot = Array.from({ length: k }, (_, j) => j);
+    const qraux = new Array(k).fill(0);
+    const originalNorms = qr.map(col => Math.sqrt(LinearAlgebra.dot(col, col)));
+    let rank = k;
+    let j = 0;
+
+    while (j < Math.min(rank, n)) {
+      const col = qr[j];
+      let norm = 0;
+      for (let i = j; i < n; i++) norm += col[i] * col[i];
+      norm = Math.sqrt(norm);
+
+      if (norm <= tol * originalNorms[j] || originalNorms[j] === 0) {
+        // Rotate the dependent column to the end and retry position j
+        qr.push(qr.splice(j, 1)[0]);
+        pivot.push(pivot.splice(j, 1)[0]);
+        originalNorms.push(originalNorms.splice(j, 1)[0]);
+        rank--;
+        continue;
+      }
+
+      // Householder vector v = x + sign(x_j) ||x|| e_j, scaled so that v_j = 1 + |x_j| / ||x||
+      const signedNorm = col[j] >= 0 ? norm : -norm;
+      for (let i = j; i < n; i++) col[i] /= signedNorm;
+      col[j] += 1;
+
+      // Apply H = I - v v' / v_j to the remaining columns
+      for (let c = j + 1; c < k; c++) {
+        const other = qr[c];
+        let s = 0;
+        for (let i = j; i < n; i++) s += col[i] * other[i];
+        s /= col[j];
+        for (let i = j; i < n; i++) other[i] -= s * col[i];
+      }
+
+      qraux[j] = col[j];
+      col[j] = -signedNorm;
+      j++;
+    }
+
+    // Columns beyond n cannot be pivots
+    rank = Math.min(rank, j);
+
+    return { qr: qr, qraux: qraux, pivot: pivot, rank: rank, n: n, k: k };
+  }
+
+  /**
+   * Q'y for a factorization returned by qr()
+   */
+  static qrQty(decomp, y) {
+    const { qr, qraux, rank, n } = decomp;
+    const result = y.slice();
+    for (let j = 0; j < rank; j++) {
+      const v = qr[j];
+      const vj = qraux[j];
+      let s = vj * result[j];
+      for (let i = j + 1; i < n; i++) s += v[i] * result[i];
+      s /= vj;
+      result[j] -= s * vj;
+      for (let i = j + 1; i < n; i++) result[i] -= s * v[i];
+    }
+    return result;
+  }
+
+  /**
+   * Qy (inverse of qrQty)
+   */
+  static qrQy(decomp, y) {
+    const { qr, qraux, rank, n } = decomp;
+    const result = y.slice();
+    for (let j = rank - 1; j >= 0; j--) {
+      const v = qr[j];
+      const vj = qraux[j];
+      let s = vj * result[j];
+      for (let i = j + 1; i < n; i++) s += v[i] * result[i];
+      s /= vj;
+      result[j] -= s * vj;
+      for (let i = j + 1; i < n; i++) result[i] -= s * v[i];
+    }
+    return result;
+  }
+
+  /**
+   * Diagonal of the hat matrix Q1 Q1' (leverages), where Q1 holds the first
+   * rank columns of Q
+   */
+  static qrHatValues(decomp) {
+    const { rank, n } = decomp;
+    const hat = new Array(n).fill(0);
+    for (let j = 0; j < rank; j++) {
+      const unit = new Array(n).fill(0);
+      unit[j] = 1;
+      const q = LinearAlgebra.qrQy(decomp, unit);
+      for (let i = 0; i < n; i++) hat[i] += q[i] * q[i];
+    }
+    return hat;
+  }
+
+  /**
+   * Solve R b = z for the leading rank x rank block of R
+   */
+  static qrBacksolve(decomp, z) {
+    const { qr, rank } = decomp;
+    const b = new Array(rank).fill(0);
+    for (let i = rank - 1; i >= 0; i--) {
+      let s = z[i];
+      for (let j = i + 1; j < rank; j++) s -= qr[j][i] * b[j];
+      b[i] = s / qr[i][i];
+    }
+    return b;
+  }
+
+  /**
+   * (R'R)^-1 for the leading rank x rank block of R, i.e. (X'X)^-1 restricted
+   * to the estimable columns, in pivoted order
+   */
+  static qrUnscaledCovariance(decomp) {
+    const { qr, rank } = decomp;
+
+    // Rinv is upper triangular
+    const Rinv = Array.from({ length: rank }, () => new Array(rank).fill(0));
+    for (let c = 0; c < rank; c++) {
+      Rinv[c][c] = 1 / qr[c][c];
+      for (let i = c - 1; i >= 0; i--) {
+        let s = 0;
+        for (let j = i + 1; j <= c; j++) s += qr[j][i] * Rinv[j][c];
+        Rinv[i][c] = -s / qr[i][i];
+      }
+    }
+
+    const result = Array.from({ length: rank }, () => new Array(rank).fill(0));
+    for (let i = 0; i < rank; i++) {
+      for (let j = i; j < rank; j++) {
+        let s = 0;
+        for (let m = j; m < rank; m++) s += Rinv[i][m] * Rinv[j][m];
+        result[i][j] = s;
+        result[j][i] = s;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Least-squares solution of A b = y. Aliased (linearly dependent) columns
+   * get NaN coefficients; the others are the usual estimates.
+   */
+  static leastSquares(A, y, tol = 1e-7) {
+    const decomp = LinearAlgebra.qr(A, tol);
+    const qty = LinearAlgebra.qrQty(decomp, y);
+    const bPivoted = LinearAlgebra.qrBacksolve(decomp, qty);
+    const coefficients = new Array(decomp.k).fill(NaN);
+    for (let j = 0; j < decomp.rank; j++) {
+      coefficients[decomp.pivot[j]] = bPivoted[j];
+    }
+    return { coefficients: coefficients, qr: decomp, qty: qty };
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.LinearAlgebra = LinearAlgebra;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LinearAlgebra;
+}
@@ -0,0 +1,367 @@
+/**
+ * Model Formula
+ * Parses and writes Wilkinson / R-style model formulas
+ * Requires js/model-terms.js
+ *
+ * Supported syntax (a subset of R's):
+ *   y ~ a + b              main effects
+ *   a:b                    interaction only
+ *   a*b                    a + b + a:b (any number of factors)
+ *   (a + b + c)^2          all terms up to two-way interactions
+ *   - term                 remove a term; "- 1" or "+ 0" drops the intercept
+ *   I(x^2), I(x^3)         polynomial terms
+ *   log(x), log10(x), log2(x), sqrt(x), exp(x)
+ *                          transformed numeric variable (also on the response)
+ *   factor(x), C(x)        treat x as categorical
+ *   `Sale Price`           backticks quote names that are not plain identifiers
+ *
+ * A transformed variable is referenced by the string "log(Age)" wherever a
+ * variable name is expected, so it can sit in the X (numeric) bucket and in
+ * interaction terms like any other column; parseReference() recovers the
+ * base column and the transform.
+ *
+ * Terms are returned in the ModelTerms shape ({ vars, degree }) ordered like
+ * R: main effects and powers first, then two-way interactions, and so on.
+ */
+
+const FORMULA_TRANSFORMS = {
+  log: Math.log,
+  log10: Math.log10,
+  log2: Math.log2,
+  sqrt: Math.sqrt,
+  exp: Math.exp
+};
+
+const FORMULA_FACTOR_FUNCTIONS = ['factor', 'C', 'as.factor'];
+
+class ModelFormula {
+
+  // ==========================================================================
+  // VARIABLE REFERENCES
+  // ==========================================================================
+
+  /**
+   * Split "log(Age)" into { name: 'Age', transform: 'log' }; plain names have transform null
+   */
+  static parseReference(ref) {
+    const match = /^([A-Za-z0-9]+)\((.*)\)$/.exec(ref);
+    if (match && FORMULA_TRANSFORMS[match[1]]) {
+      return { name: match[2], transform: match[1] };
+    }
+    return { name: ref, transform: null };
+  }
+
+  static reference(name, transform) {
+    return transform ? `${transform}(${name})` : name;
+  }
+
+  /**
+   * Apply a transform to numeric data; values outside its domain become NaN
+   * (and are dropped as missing)
+   */
+  static applyTransform(transform, data) {
+    if (!transform) return data;
+    const fn = FORMULA_TRANSFORMS[transform];
+    if (!fn) throw new Error(`Unknown transform: ${transform}`);
+    return data.map(x => {
+      const value = fn(x);
+      return isFinite(value) ? value : NaN;
+    });
+  }
+
+  // ==========================================================================
+  // PARSING
+  // ==========================================================================
+
+  /**
+   * @param {string} text - e.g. "Price ~ Size + log(Age) + Region * Type - 1"
+   * @returns {Object} { response, intercept, terms: [{ vars, degree }], factors: [names] }
+   */
+  static parse(text) {
+    const parser = new FormulaParser(ModelFormula.tokenize(text));
+    const result = parser.parseFormula();
+
+    // R orders terms by interaction order, keeping the written order within each
+    const order = term => (term.degree > 1 ? 1 : term.vars.length);
+    const terms = result.terms
+      .map((term, i) => ({ term, i }))
+      .sort((a, b) => order(a.term) - order(b.term) || a.i - b.i)
+      .map(entry => entry.term);
+
+    return {
+      response: result.response,
+      intercept: result.intercept,
+      terms: terms,
+      factors: Array.from(parser.factors)
+    };
+  }
+
+  static tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '`') {
+        const end = text.indexOf('`', i + 1);
+        if (end < 0) throw new Error('Unclosed backtick in formula');
+        tokens.push({ type: 'name', value: text.slice(i + 1, end) });
+        i = end + 1;
+      } else if (/[0-9]/.test(ch)) {
+        let j = i;
+        while (j < text.length && /[0-9.]/.test(text[j])) j++;
+        tokens.push({ type: 'number', value: Number(text.slice(i, j)) });
+        i = j;
+      } else if (/[A-Za-z_.]/.test(ch)) {
+        let j = i;
+        while (j < text.length && /[A-Za-z0-9_.]/.test(text[j])) j++;
+        tokens.push({ type: 'name', value: text.slice(i, j) });
+        i = j;
+      } else if ('~+-*:^()'.includes(ch)) {
+        tokens.push({ type: ch });
+        i++;
+      } else {
+        throw new Error(`Unexpected character "${ch}" in formula`);
+      }
+    }
+    return tokens;
+  }
+
+  // ==========================================================================
+  // WRITING
+  // ==========================================================================
+
+  /**
+   * Formula text for a model
+   * @param {Object} model - { response, intercept, terms, factors }
+   *   factors lists categorical variables that need an explicit factor()
+   *   (those whose values look numeric)
+   */
+  static format(model) {
+    const factors = new Set(model.factors || []);
+    const parts = model.terms.map(term => {
+      if ((term.degree || 1) > 1) {
+        return `I(${ModelFormula.formatReference(term.vars[0], factors)}^${term.degree})`;
+      }
+      return term.vars.map(v => ModelFormula.formatReference(v, factors)).join(':');
+    });
+
+    let rhs = parts.length > 0 ? parts.join(' + ') : '1';
+    if (!model.intercept) rhs += ' - 1';
+    const lhs = model.response ? `${ModelFormula.formatReference(model.response, factors)} ` : '';
+    return `${lhs}~ ${rhs}`;
+  }
+
+  static formatReference(ref, factors) {
+    const { name, transform } = ModelFormula.parseReference(ref);
+    const quoted = /^[A-Za-z.][A-Za-z0-9._]*$/.test(name) ? name : `\`${name}\``;
+    if (transform) return `${transform}(${quoted})`;
+    return factors && factors.has(name) ? `factor(${quoted})` : quoted;
+  }
+}
+
+// ============================================================================
+// RECURSIVE-DESCENT PARSER
+// ============================================================================
+
+/**
+ * Precedence, loosest first: ~, + and -, *, :, ^.
+ * Each right-hand-side expression evaluates to an ordered list of terms;
+ * the intercept is tracked separately.
+ */
+class FormulaParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.intercept = true;
+    this.factors = new Set();
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (!token || token.type !== type) {
+      throw new Error(`Expected "${type}" in formula${token ? '' : ' before the end'}`);
+    }
+    return token;
+  }
+
+  parseFormula() {
+    let response = null;
+    if (this.peek() && this.peek().type !== '~') {
+      response = this.parseVariable();
+      if (this.factors.size > 0) {
+        throw new Error('The response must be numeric');
+      }
+    }
+    this.expect('~');
+    const terms = this.parseSum();
+    if (this.pos < this.tokens.length) {
+      throw new Error(`Unexpected "${this.peek().value || this.peek().type}" in formula`);
+    }
+    return { response: response, intercept: this.intercept, terms: terms };
+  }
+
+  parseSum() {
+    let terms = [];
+    let sign = 1;
+    if (this.peek() && this.peek().type === '-') {
+      this.next();
+      sign = -1;
+    }
+
+    for (;;) {
+      const token = this.peek();
+      if (token && token.type === 'number') {
+        // Intercept switches: + 1, + 0, - 1
+        this.next();
+        if (token.value !== 0 && token.value !== 1) {
+          throw new Error(`Unexpected number ${token.value} in formula`);
+        }
+        this.intercept = (token.value === 1) === (sign > 0);
+      } else {
+        const operand = this.parseCross();
+        terms = sign > 0
+          ? FormulaParser.union(terms, operand)
+          : terms.filter(t => !operand.some(o => ModelTerms.key(o) === ModelTerms.key(t)));
+      }
+
+      const op = this.peek();
+      if (!op || (op.type !== '+' && op.type !== '-')) break;
+      this.next();
+      sign = op.type === '+' ? 1 : -1;
+    }
+    return terms;
+  }
+
+  parseCross() {
+    let terms = this.parseInteraction();
+    while (this.peek() && this.peek().type === '*') {
+      this.next();
+      const right = this.parseInteraction();
+      terms = FormulaParser.union(FormulaParser.union(terms, right), FormulaParser.product(terms, right));
+    }
+    return terms;
+  }
+
+  parseInteraction() {
+    let terms = this.parsePower();
+    while (this.peek() && this.peek().type === ':') {
+      this.next();
+      terms = FormulaParser.product(terms, this.parsePower());
+    }
+    return terms;
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (!this.peek() || this.peek().type !== '^') return base;
+    this.next();
+    const order = this.expect('number').value;
+    if (!Number.isInteger(order) || order < 1) {
+      throw new Error('The order in (...)^n must be a positive integer');
+    }
+    // (a + b + c)^n: every interaction of up to n of the terms
+    let terms = base;
+    for (let i = 1; i < order; i++) {
+      terms = FormulaParser.union(terms, FormulaParser.product(terms, base));
+    }
+    return terms;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) throw new Error('Formula ends unexpectedly');
+
+    if (token.type === '(') {
+      this.next();
+      const outerIntercept = this.intercept;
+      const terms = this.parseSum();
+      this.intercept = outerIntercept;
+      this.expect(')');
+      return terms;
+    }
+
+    if (token.type === 'name' && token.value === 'I' && this.tokens[this.pos + 1] &&
+        this.tokens[this.pos + 1].type === '(') {
+      // I(x^d): polynomial term
+      this.next();
+      this.next();
+      const ref = this.parseVariable();
+      this.expect('^');
+      const degree = this.expect('number').value;
+      this.expect(')');
+      if (ModelFormula.parseReference(ref).transform) {
+        throw new Error(`I(${ref}^${degree}): powers of transformed variables are not supported`);
+      }
+      if (!Number.isInteger(degree) || degree < 1) {
+        throw new Error(`I(${ref}^${degree}): the power must be a positive integer`);
+      }
+      return [degree === 1 ? ModelTerms.mainEffect(ref) : ModelTerms.power(ref, degree)];
+    }
+
+    return [ModelTerms.mainEffect(this.parseVariable())];
+  }
+
+  /**
+   * name, `quoted name`, transform(name) or factor(name)
+   */
+  parseVariable() {
+    const token = this.expect('name');
+    if (!this.peek() || this.peek().type !== '(') return token.value;
+
+    const fn = token.value;
+    this.next();
+    const inner = this.expect('name').value;
+    this.expect(')');
+    if (FORMULA_FACTOR_FUNCTIONS.includes(fn)) {
+      this.factors.add(inner);
+      return inner;
+    }
+    if (FORMULA_TRANSFORMS[fn]) {
+      return ModelFormula.reference(inner, fn);
+    }
+    throw new Error(`Unsupported function in formula: ${fn}()`);
+  }
+
+  static union(a, b) {
+    const keys = new Set(a.map(t => ModelTerms.key(t)));
+    return a.concat(b.filter(t => !keys.has(ModelTerms.key(t))));
+  }
+
+  /**
+   * Pairwise interactions of two term lists (a:a is just a, as in R)
+   */
+  static product(a, b) {
+    const result = [];
+    a.forEach(left => {
+      b.forEach(right => {
+        if ((left.degree || 1) > 1 || (right.degree || 1) > 1) {
+          throw new Error('Polynomial terms I(x^n) cannot be part of an interaction');
+        }
+        const vars = left.vars.concat(right.vars.filter(v => !left.vars.includes(v)));
+        const term = vars.length === 1 ? ModelTerms.mainEffect(vars[0]) : ModelTerms.interaction(vars);
+        if (!result.some(t => ModelTerms.key(t) === ModelTerms.key(term))) result.push(term);
+      });
+    });
+    return result;
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.ModelFormula = ModelFormula;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ModelFormula;
+}
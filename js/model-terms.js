@@ -0,0 +1,308 @@
+/**
+ * Model Terms
+ * Builds regression design columns from main effects, interactions and
+ * polynomial terms
+ * No dependencies - completely self-contained
+ *
+ * A term is { vars: [names], degree }:
+ *   { vars: ['Size'] }                    main effect
+ *   { vars: ['Size', 'Region'] }          interaction Size×Region
+ *   { vars: ['Size'], degree: 2 }         polynomial Size^2 (numeric only)
+ *
+ * Each variable is described by a source with one or more coded columns:
+ *   numeric:     { kind: 'numeric', columns: [{ name: 'Size', data: [...] }] }
+ *   categorical: { kind: 'categorical', columns: [{ name: 'Region=North', data: [0/1...] }, ...] }
+ *
+ * Categorical columns come from a contrast coding (see contrasts()):
+ *   treatment   0/1 dummies against a reference level       Region=North
+ *   effect      sum-to-zero, level vs unweighted grand mean Region[North vs mean]
+ *   helmert     level vs mean of the previous levels        Region[West vs previous]
+ *   polynomial  orthonormal trends over ordered levels      Region[linear], Region[quadratic]
+ *   difference  backward difference, level vs previous      Region[West - North]
+ * Helmert and backward-difference columns are scaled so each coefficient is
+ * the stated difference of level means (in a model with no other terms).
+ *
+ * An interaction expands to the product of every combination of its
+ * variables' columns, so numeric×categorical gives one slope shift per
+ * dummy and categorical×categorical one column per pair of dummies.
+ * Column names join the component names with '×' (e.g. "Size×Region=North")
+ * and powers are written "Size^2".
+ */
+
+const INTERACTION_SEPARATOR = '×';
+const MAX_POLYNOMIAL_DEGREE = 3;
+
+const CONTRAST_CODINGS = {
+  treatment: 'Treatment (dummy)',
+  effect: 'Effect (sum to zero)',
+  helmert: 'Helmert',
+  polynomial: 'Polynomial (ordered)',
+  difference: 'Backward difference'
+};
+
+// Codings whose columns are defined relative to a chosen reference level
+const REFERENCE_CODINGS = ['treatment', 'effect'];
+
+class ModelTerms {
+
+  // ==========================================================================
+  // TERM CONSTRUCTION
+  // ==========================================================================
+
+  static mainEffect(name) {
+    return { vars: [name], degree: 1 };
+  }
+
+  static interaction(names) {
+    return { vars: names.slice(), degree: 1 };
+  }
+
+  static power(name, degree) {
+    return { vars: [name], degree: degree };
+  }
+
+  /**
+   * Display label of a term, e.g. "Size", "Size×Region" or "Size^2"
+   */
+  static label(term) {
+    const degree = term.degree || 1;
+    if (degree > 1) return `${term.vars[0]}^${degree}`;
+    return term.vars.join(INTERACTION_SEPARATOR);
+  }
+
+  /**
+   * Order-independent identity of a term (A×B and B×A are the same term)
+   */
+  static key(term) {
+    const degree = term.degree || 1;
+    return degree > 1
+      ? `${term.vars[0]}^${degree}`
+      : term.vars.slice().sort().join('\u0000');
+  }
+
+  /**
+   * Check a term against the variable kinds; returns an error message or null
+   * @param {Object} term
+   * @param {Object} kinds - { varName: 'numeric' | 'categorical' }
+   */
+  static validate(term, kinds) {
+    const degree = term.degree || 1;
+    const missing = term.vars.filter(v => !kinds[v]);
+    if (missing.length > 0) {
+      return `${missing.join(', ')} must be assigned as a predictor first`;
+    }
+    if (degree > 1) {
+      if (term.vars.length !== 1) return 'A polynomial term takes a single variable';
+      if (kinds[term.vars[0]] !== 'numeric') return `${term.vars[0]}^${degree}: powers need a numeric variable`;
+      if (degree > MAX_POLYNOMIAL_DEGREE) return `Polynomial degree is limited to ${MAX_POLYNOMIAL_DEGREE}`;
+      return null;
+    }
+    if (new Set(term.vars).size !== term.vars.length) {
+      return `${ModelTerms.label(term)}: a variable cannot interact with itself (use a power term)`;
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // CONTRAST CODING
+  // ==========================================================================
+
+  /**
+   * Distinct levels in display order: numerically when every level is a
+   * number, otherwise alphabetically
+   */
+  static sortLevels(values) {
+    const levels = [...new Set(values.filter(v => v !== null && v !== undefined && v !== ''))];
+    const allNumeric = levels.every(v => v !== '' && !isNaN(Number(v)));
+    return allNumeric
+      ? levels.sort((a, b) => Number(a) - Number(b))
+      : levels.sort((a, b) => String(a).localeCompare(String(b)));
+  }
+
+  /**
+   * Contrast matrix for a factor
+   * @param {Array} levels - Levels in model order (the order used by polynomial,
+   *   Helmert and difference coding)
+   * @param {string} coding - One of CONTRAST_CODINGS
+   * @param {*} reference - Omitted level for treatment and effect coding (default: first)
+   * @returns {Object} { levels, matrix, labels } where matrix[i] is the code of
+   *   levels[i] (levels reordered so the reference comes first) and labels[j]
+   *   names column j
+   */
+  static contrasts(levels, coding = 'treatment', reference = undefined) {
+    const k = levels.length;
+    if (k < 2) throw new Error('A categorical variable needs at least 2 levels');
+    if (!CONTRAST_CODINGS[coding]) throw new Error(`Unknown contrast coding: ${coding}`);
+
+    let ordered = levels.slice();
+    if (REFERENCE_CODINGS.includes(coding) && reference !== undefined && reference !== null) {
+      const refIdx = ordered.findIndex(l => String(l) === String(reference));
+      if (refIdx < 0) throw new Error(`Reference level "${reference}" is not among the levels`);
+      ordered = [ordered[refIdx], ...ordered.filter((_, i) => i !== refIdx)];
+    }
+
+    const matrix = Array.from({ length: k }, () => new Array(k - 1).fill(0));
+    let labels;
+
+    switch (coding) {
+      case 'treatment':
+        for (let j = 1; j < k; j++) matrix[j][j - 1] = 1;
+        labels = ordered.slice(1).map(l => `=${l}`);
+        break;
+
+      case 'effect':
+        for (let j = 1; j < k; j++) {
+          matrix[j][j - 1] = 1;
+          matrix[0][j - 1] = -1;
+        }
+        labels = ordered.slice(1).map(l => `[${l} vs mean]`);
+        break;
+
+      case 'helmert':
+        // Column j: level j+1 minus the mean of levels 0..j
+        for (let j = 1; j < k; j++) {
+          for (let i = 0; i < j; i++) matrix[i][j - 1] = -1 / (j + 1);
+          matrix[j][j - 1] = j / (j + 1);
+        }
+        labels = ordered.slice(1).map(l => `[${l} vs previous]`);
+        break;
+
+      case 'difference':
+        // Column j: level j+1 minus level j (MASS::contr.sdif)
+        for (let j = 1; j < k; j++) {
+          for (let i = 0; i < k; i++) matrix[i][j - 1] = i < j ? -(k - j) / k : j / k;
+        }
+        labels = ordered.slice(1).map((l, j) => `[${l} - ${ordered[j]}]`);
+        break;
+
+      case 'polynomial': {
+        // Orthonormal polynomials in the scores 1..k (R's contr.poly)
+        const scores = ordered.map((_, i) => i + 1 - (k + 1) / 2);
+        const basis = [];
+        for (let d = 0; d < k; d++) {
+          let v = scores.map(x => Math.pow(x, d));
+          basis.forEach(b => {
+            const proj = b.reduce((sum, bi, i) => sum + bi * v[i], 0);
+            v = v.map((vi, i) => vi - proj * b[i]);
+          });
+          const norm = Math.sqrt(v.reduce((sum, vi) => sum + vi * vi, 0));
+          basis.push(v.map(vi => vi / norm));
+        }
+        for (let j = 1; j < k; j++) {
+          for (let i = 0; i < k; i++) matrix[i][j - 1] = basis[j][i];
+        }
+        const names = ['linear', 'quadratic', 'cubic'];
+        labels = basis.slice(1).map((_, j) => `[${names[j] || `degree ${j + 1}`}]`);
+        break;
+      }
+    }
+
+    return { levels: ordered, matrix: matrix, labels: labels };
+  }
+
+  /**
+   * Source (see buildDesign) for a categorical variable
+   * @param {string} name - Variable name
+   * @param {Array} data - Raw values; missing values and values outside levels give NaN
+   * @param {Array} levels - Included levels in model order
+   * @param {Object} contrast - { coding, reference }
+   */
+  static categoricalSource(name, data, levels, contrast = {}) {
+    const coded = ModelTerms.contrasts(levels, contrast.coding || 'treatment', contrast.reference);
+    const rowOf = new Map(coded.levels.map((l, i) => [String(l), i]));
+
+    const columns = coded.labels.map((label, j) => ({
+      name: `${name}${label}`,
+      data: data.map(v => {
+        const i = (v === null || v === undefined || v === '') ? undefined : rowOf.get(String(v));
+        return i === undefined ? NaN : coded.matrix[i][j];
+      })
+    }));
+
+    return {
+      kind: 'categorical',
+      columns: columns,
+      coding: contrast.coding || 'treatment',
+      levels: coded.levels,
+      reference: REFERENCE_CODINGS.includes(contrast.coding || 'treatment') ? coded.levels[0] : null
+    };
+  }
+
+  // ==========================================================================
+  // DESIGN COLUMNS
+  // ==========================================================================
+
+  /**
+   * Coded columns of one term
+   * @param {Object} term
+   * @param {Object} sources - { varName: { kind, columns: [{ name, data }] } }
+   * @returns {Array<Object>} [{ name, data }]
+   */
+  static termColumns(term, sources) {
+    const degree = term.degree || 1;
+    term.vars.forEach(v => {
+      if (!sources[v]) throw new Error(`Unknown variable in term ${ModelTerms.label(term)}: ${v}`);
+    });
+
+    if (degree > 1) {
+      const base = sources[term.vars[0]].columns[0];
+      return [{
+        name: `${base.name}^${degree}`,
+        data: base.data.map(x => Math.pow(Number(x), degree))
+      }];
+    }
+
+    // Cartesian product of the component columns, first variable varying slowest
+    return term.vars.reduce((acc, v) => {
+      const next = [];
+      acc.forEach(left => {
+        sources[v].columns.forEach(col => {
+          next.push(left === null
+            ? { name: col.name, data: col.data.map(Number) }
+            : {
+              name: `${left.name}${INTERACTION_SEPARATOR}${col.name}`,
+              data: left.data.map((x, i) => x * Number(col.data[i]))
+            });
+        });
+      });
+      return next;
+    }, [null]);
+  }
+
+  /**
+   * Design columns for a list of terms, in term order
+   * @returns {Object} { columns: [{ name, data }], names, assign, termLabels }
+   *   assign[j] is the index into termLabels of the term that produced column j
+   */
+  static buildDesign(terms, sources) {
+    const columns = [];
+    const assign = [];
+    const termLabels = [];
+
+    terms.forEach(term => {
+      const termIndex = termLabels.length;
+      termLabels.push(ModelTerms.label(term));
+      ModelTerms.termColumns(term, sources).forEach(col => {
+        columns.push(col);
+        assign.push(termIndex);
+      });
+    });
+
+    return {
+      columns: columns,
+      names: columns.map(col => col.name),
+      assign: assign,
+      termLabels: termLabels
+    };
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.ModelTerms = ModelTerms;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ModelTerms;
+}
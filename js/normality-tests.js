@@ -0,0 +1,379 @@
+/**
+ * Normality Tests
+ * Goodness-of-fit tests for the normal distribution
+ * Requires js/distributions.js
+ *
+ * - Shapiro-Wilk: Royston's (1995) algorithm AS R94, as in R's shapiro.test;
+ *   valid for 3 <= n <= 5000
+ * - Anderson-Darling (n >= 8), Lilliefors-corrected Kolmogorov-Smirnov (n >= 5)
+ *   and Cramér-von Mises (n >= 8) against a normal with estimated mean and SD;
+ *   p-values from Stephens' (1986) and Dallal-Wilkinson's approximations, as
+ *   in R's nortest package
+ * - D'Agostino-Pearson K² (n >= 8): skewness and kurtosis z tests (D'Agostino,
+ *   Belanger & D'Agostino 1990) combined on chi-square(2), as scipy's normaltest
+ * - Jarque-Bera (n >= 3): moment skewness and kurtosis on chi-square(2)
+ *
+ * Every test returns { test, statistic, pValue, n }; missing, non-numeric and
+ * logical (TRUE / FALSE) values are dropped first. run() applies all six and adds the critical value
+ * of each statistic at the chosen alpha.
+ */
+
+const SHAPIRO_MAX_N = 5000;
+
+// Test order of run(); names match the normality cards in 0Descriptive_Stats.html
+const NORMALITY_TESTS = [
+  'Shapiro-Wilk',
+  'Anderson-Darling',
+  'Kolmogorov-Smirnov',
+  'Cramer-von Mises',
+  'D\'Agostino-Pearson',
+  'Jarque-Bera'
+];
+
+class NormalityTests {
+
+  // Blanks, text and Excel TRUE / FALSE cells are missing (NaN)
+  static toNumber(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') return NaN;
+    return Number(value);
+  }
+
+  static clean(values) {
+    return values.map(NormalityTests.toNumber).filter(v => isFinite(v));
+  }
+
+  /**
+   * All six tests; a test that cannot run (too few values, constant data)
+   * returns NaN statistic and p-value with an error message
+   * @param {Array<number>} values
+   * @param {Object} options - { alpha = 0.05 }
+   * @returns {Array<Object>} [{ test, statistic, pValue, n, critical, error? }]
+   *   critical is the statistic's value at p = alpha (reject below it for
+   *   Shapiro-Wilk, above it for the others)
+   */
+  static run(values, options = {}) {
+    const alpha = options.alpha || 0.05;
+    const n = NormalityTests.clean(values).length;
+    const tests = {
+      'Shapiro-Wilk': NormalityTests.shapiroWilk,
+      'Anderson-Darling': NormalityTests.andersonDarling,
+      'Kolmogorov-Smirnov': NormalityTests.lilliefors,
+      'Cramer-von Mises': NormalityTests.cramerVonMises,
+      'D\'Agostino-Pearson': NormalityTests.dagostinoPearson,
+      'Jarque-Bera': NormalityTests.jarqueBera
+    };
+
+    return NORMALITY_TESTS.map(name => {
+      try {
+        const result = tests[name](values);
+        result.critical = NormalityTests.critical(name, result.n, alpha);
+        return result;
+      } catch (err) {
+        return { test: name, statistic: NaN, pValue: NaN, n: n, critical: NaN, error: err.message };
+      }
+    });
+  }
+
+  /**
+   * Critical value of a test statistic at level alpha, by inverting the
+   * p-value approximation the test uses
+   */
+  static critical(name, n, alpha) {
+    switch (name) {
+      case 'Shapiro-Wilk':
+        return NormalityTests.invert(w => NormalityTests.shapiroWilkPValue(w, n), alpha, 0, 1, true);
+      case 'Anderson-Darling':
+        return NormalityTests.invert(a => NormalityTests.andersonDarlingPValue(a, n), alpha, 0, 20, false);
+      case 'Kolmogorov-Smirnov':
+        return NormalityTests.invert(d => NormalityTests.lillieforsPValue(d, n), alpha, 0, 1, false);
+      case 'Cramer-von Mises':
+        return NormalityTests.invert(w => NormalityTests.cramerVonMisesPValue(w, n), alpha, 0, 1, false);
+      default:
+        return Distributions.chiSquareQuantile(1 - alpha, 2);
+    }
+  }
+
+  /**
+   * Bisection for the statistic at which a monotone p-value function equals p
+   */
+  static invert(pValueOf, p, lo, hi, increasing) {
+    for (let iter = 0; iter < 100 && hi - lo > 1e-10; iter++) {
+      const mid = (lo + hi) / 2;
+      if ((pValueOf(mid) < p) === increasing) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  /**
+   * Sorted values with their standardized normal probabilities
+   * Φ((x - mean) / sd), for the EDF tests
+   */
+  static normalProbabilities(values, minN, name) {
+    const x = NormalityTests.clean(values).sort((a, b) => a - b);
+    const n = x.length;
+    if (n < minN) throw new Error(`${name} needs at least ${minN} observations`);
+    const mean = x.reduce((sum, v) => sum + v, 0) / n;
+    const sd = Math.sqrt(x.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1));
+    if (!(sd > 0)) throw new Error(`${name}: all values are identical`);
+    return { n: n, p: x.map(v => Distributions.normalCdf((v - mean) / sd)) };
+  }
+
+  /**
+   * Central moments m2, m3, m4 (divisor n)
+   */
+  static moments(values, minN, name) {
+    const x = NormalityTests.clean(values);
+    const n = x.length;
+    if (n < minN) throw new Error(`${name} needs at least ${minN} observations`);
+    const mean = x.reduce((sum, v) => sum + v, 0) / n;
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    x.forEach(v => {
+      const d = v - mean;
+      m2 += d * d;
+      m3 += d * d * d;
+      m4 += d * d * d * d;
+    });
+    m2 /= n;
+    m3 /= n;
+    m4 /= n;
+    if (!(m2 > 0)) throw new Error(`${name}: all values are identical`);
+    return { n: n, skewness: m3 / Math.pow(m2, 1.5), kurtosis: m4 / (m2 * m2) };
+  }
+
+  // ==========================================================================
+  // SHAPIRO-WILK
+  // ==========================================================================
+
+  /**
+   * @param {Array<number>} values
+   * @returns {Object} { test, statistic (W), pValue, n }
+   */
+  static shapiroWilk(values) {
+    const x = NormalityTests.clean(values).sort((a, b) => a - b);
+    const n = x.length;
+    if (n < 3) throw new Error('Shapiro-Wilk needs at least 3 observations');
+    if (n > SHAPIRO_MAX_N) throw new Error(`Shapiro-Wilk is limited to ${SHAPIRO_MAX_N} observations`);
+    if (x[n - 1] - x[0] < 1e-19 * Math.max(1, Math.abs(x[0]))) {
+      throw new Error('Shapiro-Wilk: all values are identical');
+    }
+
+    // Coefficients a[0..n/2-1] for the lower half (positive, largest first)
+    const half = Math.floor(n / 2);
+    const a = new Array(half);
+    if (n === 3) {
+      a[0] = Math.SQRT1_2;
+    } else {
+      const m = [];
+      for (let i = 1; i <= half; i++) {
+        m.push(Distributions.normalQuantile((i - 0.375) / (n + 0.25)));
+      }
+      const summ2 = 2 * m.reduce((sum, v) => sum + v * v, 0);
+      const ssumm2 = Math.sqrt(summ2);
+      const rsn = 1 / Math.sqrt(n);
+      const poly = NormalityTests.poly;
+      const a1 = poly([0, 0.221157, -0.147981, -2.07119, 4.434685, -2.706056], rsn) - m[0] / ssumm2;
+
+      let first;
+      let fac;
+      if (n > 5) {
+        const a2 = -m[1] / ssumm2 + poly([0, 0.042981, -0.293762, -1.752461, 5.682633, -3.582633], rsn);
+        fac = Math.sqrt((summ2 - 2 * m[0] * m[0] - 2 * m[1] * m[1]) / (1 - 2 * a1 * a1 - 2 * a2 * a2));
+        a[1] = a2;
+        first = 2;
+      } else {
+        fac = Math.sqrt((summ2 - 2 * m[0] * m[0]) / (1 - 2 * a1 * a1));
+        first = 1;
+      }
+      a[0] = a1;
+      for (let i = first; i < half; i++) a[i] = -m[i] / fac;
+    }
+
+    // W = (sum a_i (x_(n+1-i) - x_(i)))^2 / sum (x - mean)^2
+    const mean = x.reduce((sum, v) => sum + v, 0) / n;
+    const ssq = x.reduce((sum, v) => sum + (v - mean) * (v - mean), 0);
+    let b = 0;
+    for (let i = 0; i < half; i++) b += a[i] * (x[n - 1 - i] - x[i]);
+    const w = Math.min(1, (b * b) / ssq);
+
+    return { test: 'Shapiro-Wilk', statistic: w, pValue: NormalityTests.shapiroWilkPValue(w, n), n: n };
+  }
+
+  /**
+   * Royston's normalizing transformation of W
+   */
+  static shapiroWilkPValue(w, n) {
+    const poly = NormalityTests.poly;
+
+    if (n === 3) {
+      // Exact distribution for n = 3
+      const p = (6 / Math.PI) * (Math.asin(Math.sqrt(w)) - Math.PI / 3);
+      return Math.max(0, Math.min(1, p));
+    }
+
+    let y = Math.log(1 - w);
+    let mean;
+    let sd;
+    if (n <= 11) {
+      const gamma = poly([-2.273, 0.459], n);
+      if (y >= gamma) return 1e-99;
+      y = -Math.log(gamma - y);
+      mean = poly([0.544, -0.39978, 0.025054, -6.714e-4], n);
+      sd = Math.exp(poly([1.3822, -0.77857, 0.062767, -0.0020322], n));
+    } else {
+      const logN = Math.log(n);
+      mean = poly([-1.5861, -0.31082, -0.083751, 0.0038915], logN);
+      sd = Math.exp(poly([-0.4803, -0.082676, 0.0030302], logN));
+    }
+    return Distributions.normalCdf(-(y - mean) / sd);
+  }
+
+  // ==========================================================================
+  // EDF TESTS (ESTIMATED MEAN AND SD)
+  // ==========================================================================
+
+  /**
+   * @returns {Object} { test, statistic (A²), pValue, n }
+   */
+  static andersonDarling(values) {
+    const { n, p } = NormalityTests.normalProbabilities(values, 8, 'Anderson-Darling');
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      sum += (2 * i + 1) * (Math.log(p[i]) + Math.log(1 - p[n - 1 - i]));
+    }
+    const a = -n - sum / n;
+    return { test: 'Anderson-Darling', statistic: a, pValue: NormalityTests.andersonDarlingPValue(a, n), n: n };
+  }
+
+  static andersonDarlingPValue(a, n) {
+    const aa = a * (1 + 0.75 / n + 2.25 / (n * n));
+    if (aa < 0.2) return 1 - Math.exp(-13.436 + 101.14 * aa - 223.73 * aa * aa);
+    if (aa < 0.34) return 1 - Math.exp(-8.318 + 42.796 * aa - 59.938 * aa * aa);
+    if (aa < 0.6) return Math.exp(0.9177 - 4.279 * aa - 1.38 * aa * aa);
+    if (aa < 10) return Math.exp(1.2937 - 5.709 * aa + 0.0186 * aa * aa);
+    return 3.7e-24;
+  }
+
+  /**
+   * Kolmogorov-Smirnov with Lilliefors' correction for estimated parameters
+   * @returns {Object} { test, statistic (D), pValue, n }
+   */
+  static lilliefors(values) {
+    const { n, p } = NormalityTests.normalProbabilities(values, 5, 'Kolmogorov-Smirnov');
+    let d = 0;
+    p.forEach((pi, i) => {
+      d = Math.max(d, (i + 1) / n - pi, pi - i / n);
+    });
+    return { test: 'Kolmogorov-Smirnov', statistic: d, pValue: NormalityTests.lillieforsPValue(d, n), n: n };
+  }
+
+  /**
+   * Dallal-Wilkinson (1986) approximation, with Stephens' modified statistic
+   * above p = 0.1
+   */
+  static lillieforsPValue(d, n) {
+    const kd = n <= 100 ? d : d * Math.pow(n / 100, 0.49);
+    const nd = Math.min(n, 100);
+    const p = Math.exp(-7.01256 * kd * kd * (nd + 2.78019) + 2.99587 * kd * Math.sqrt(nd + 2.78019) -
+      0.122119 + 0.974598 / Math.sqrt(nd) + 1.67997 / nd);
+    if (p <= 0.1) return p;
+
+    const poly = NormalityTests.poly;
+    const kk = (Math.sqrt(n) - 0.01 + 0.85 / Math.sqrt(n)) * d;
+    if (kk <= 0.302) return 1;
+    if (kk <= 0.5) return poly([2.76773, -19.828315, 80.709644, -138.55152, 81.218052], kk);
+    if (kk <= 0.9) return poly([-4.901232, 40.662806, -97.490286, 94.029866, -32.355711], kk);
+    if (kk <= 1.31) return poly([6.198765, -19.558097, 23.186922, -12.234627, 2.423045], kk);
+    return 0;
+  }
+
+  /**
+   * @returns {Object} { test, statistic (W²), pValue, n }
+   */
+  static cramerVonMises(values) {
+    const { n, p } = NormalityTests.normalProbabilities(values, 8, 'Cramer-von Mises');
+    const w = 1 / (12 * n) + p.reduce((sum, pi, i) => {
+      const d = pi - (2 * i + 1) / (2 * n);
+      return sum + d * d;
+    }, 0);
+    return { test: 'Cramer-von Mises', statistic: w, pValue: NormalityTests.cramerVonMisesPValue(w, n), n: n };
+  }
+
+  static cramerVonMisesPValue(w, n) {
+    const ww = w * (1 + 0.5 / n);
+    if (ww < 0.0275) return 1 - Math.exp(-13.953 + 775.5 * ww - 12542.61 * ww * ww);
+    if (ww < 0.051) return 1 - Math.exp(-5.903 + 179.546 * ww - 1515.29 * ww * ww);
+    if (ww < 0.092) return Math.exp(0.886 - 31.62 * ww + 10.897 * ww * ww);
+    if (ww < 1.1) return Math.exp(1.111 - 34.242 * ww + 12.832 * ww * ww);
+    return 7.37e-10;
+  }
+
+  // ==========================================================================
+  // MOMENT TESTS
+  // ==========================================================================
+
+  /**
+   * D'Agostino-Pearson omnibus K² = Z(skewness)² + Z(kurtosis)²
+   * @returns {Object} { test, statistic (K²), pValue, n, zSkewness, zKurtosis }
+   */
+  static dagostinoPearson(values) {
+    const { n, skewness, kurtosis } = NormalityTests.moments(values, 8, 'D\'Agostino-Pearson');
+
+    // Skewness: Johnson SU approximation (D'Agostino 1970)
+    const y = skewness * Math.sqrt((n + 1) * (n + 3) / (6 * (n - 2)));
+    const beta2 = 3 * (n * n + 27 * n - 70) * (n + 1) * (n + 3) / ((n - 2) * (n + 5) * (n + 7) * (n + 9));
+    const w2 = -1 + Math.sqrt(2 * (beta2 - 1));
+    const delta = 1 / Math.sqrt(0.5 * Math.log(w2));
+    const alpha = Math.sqrt(2 / (w2 - 1));
+    const zSkewness = delta * Math.asinh(y / alpha);
+
+    // Kurtosis: Anscombe & Glynn (1983)
+    const expected = 3 * (n - 1) / (n + 1);
+    const variance = 24 * n * (n - 2) * (n - 3) / ((n + 1) * (n + 1) * (n + 3) * (n + 5));
+    const x = (kurtosis - expected) / Math.sqrt(variance);
+    const sqrtBeta1 = 6 * (n * n - 5 * n + 2) / ((n + 7) * (n + 9)) *
+      Math.sqrt(6 * (n + 3) * (n + 5) / (n * (n - 2) * (n - 3)));
+    const a = 6 + 8 / sqrtBeta1 * (2 / sqrtBeta1 + Math.sqrt(1 + 4 / (sqrtBeta1 * sqrtBeta1)));
+    const denom = 1 + x * Math.sqrt(2 / (a - 4));
+    const term = Math.sign(denom) * Math.cbrt((1 - 2 / a) / Math.abs(denom));
+    const zKurtosis = (1 - 2 / (9 * a) - term) / Math.sqrt(2 / (9 * a));
+
+    const k2 = zSkewness * zSkewness + zKurtosis * zKurtosis;
+    return {
+      test: 'D\'Agostino-Pearson',
+      statistic: k2,
+      pValue: Distributions.chiSquareSurvival(k2, 2),
+      n: n,
+      zSkewness: zSkewness,
+      zKurtosis: zKurtosis
+    };
+  }
+
+  /**
+   * @returns {Object} { test, statistic (JB), pValue, n }
+   */
+  static jarqueBera(values) {
+    const { n, skewness, kurtosis } = NormalityTests.moments(values, 3, 'Jarque-Bera');
+    const jb = n / 6 * (skewness * skewness + (kurtosis - 3) * (kurtosis - 3) / 4);
+    return { test: 'Jarque-Bera', statistic: jb, pValue: Distributions.chiSquareSurvival(jb, 2), n: n };
+  }
+
+  /**
+   * c[0] + c[1] x + c[2] x^2 + ...
+   */
+  static poly(c, x) {
+    return c.reduceRight((acc, coef) => acc * x + coef, 0);
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.NormalityTests = NormalityTests;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NormalityTests;
+}
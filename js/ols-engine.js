@@ -0,0 +1,387 @@
+/**
+ * OLS Engine
+ * The single ordinary-least-squares implementation used by every page
+ * (task pane, results popup, index.html, regression-complete.js)
+ *
+ * Requires js/linear-algebra.js, js/distributions.js and js/robust-covariance.js
+ *
+ * Input layouts:
+ * - OLSEngine.fit(X, y, options)          X is row-major: X[i] = predictors of observation i
+ * - OLSEngine.fitColumns(y, X, options)   X is column-major: X[j] = values of predictor j
+ * Neither layout includes the intercept column; it is added when
+ * options.includeIntercept is true (the default).
+ *
+ * Options: { includeIntercept = true, alpha = 0.05, names = ['X1', ...], tolerance = 1e-7,
+ *            vcovType = 'classical' | 'HC0' | 'HC1' | 'HC2' | 'HC3' | 'HC4' | 'cluster' | 'HAC',
+ *            vcovOptions = { clusters: [ids] | [ids1, ids2], lag },
+ *            weights = [w1, ...], weightType = 'analytic' | 'frequency' }
+ * Cluster ids and HAC ordering refer to the rows of X as passed in.
+ *
+ * Estimation uses Householder QR with R-style column pivoting (LinearAlgebra.qr).
+ * A column that is a linear combination of earlier columns is "aliased": its
+ * coefficient, SE, t, p and CI are NaN (R's NA) and it uses no degree of freedom;
+ * the remaining terms are estimated as if it were dropped.
+ *
+ * Result schema (k = number of coefficients, including the intercept):
+ *   n, k, p                 observations, coefficients, predictors (excluding intercept)
+ *   includeIntercept, alpha
+ *   names[k]                coefficient names ('(Intercept)' first when present)
+ *   rank                    numerical rank of the design matrix
+ *   aliased[k], aliasedNames   which coefficients are not estimable
+ *   weights[n] | null, weightType, nEffective   (nEffective = sum w for frequency weights, else n)
+ *   coefficients[k], standardErrors[k], tStats[k], pValues[k]
+ *   confIntLower[k], confIntUpper[k]   (1 - alpha) confidence limits
+ *   vcovType, vcov[k][k]    covariance used for SEs, t, p, CIs and F ('classical' = sigma^2 (X'X)^-1)
+ *   vcovLabel               display label, e.g. 'HC3' or 'Cluster (25 clusters)'
+ *   fittedValues[n], residuals[n]   residuals are y - fitted (unweighted)
+ *   weightedResiduals[n]    sqrt(w) (y - fitted); equal to residuals without weights
+ *   ssRegression, ssResidual, ssTotal      model, error and total sums of squares
+ *   dfRegression, dfResidual, dfTotal   (based on nEffective)
+ *   msRegression, msResidual (= MSE)
+ *   anovaFStat, anovaFPValue   MSR / MSE, whatever the vcov type
+ *   fStat, fPValue          overall F test of all non-intercept terms (Wald F for robust vcov types)
+ *   rSquared, adjRSquared, rmse
+ *   logLik, aic, bic        Gaussian log-likelihood; sigma counts as a parameter (as in R)
+ *   design[n][k], y[n]      design matrix (with intercept column) and response used
+ *   qr                      the LinearAlgebra.qr factorization of the design
+ * OLSEngine.serializable(fit) leaves out design, y and qr before the result
+ * is stored as JSON.
+ *
+ * Without an intercept the total sum of squares is uncentered (sum of y^2),
+ * matching R's summary.lm.
+ *
+ * Weighted least squares: with options.weights every sum of squares, R^2, the
+ * ANOVA table and the covariance use the weights (minimize sum w e^2).
+ * - 'analytic' (R's lm(weights =)): w_i is proportional to 1 / Var(e_i); n counts rows
+ * - 'frequency' (Stata fweight): w_i whole-number replication counts; n = sum w
+ * Weights must be positive; drop zero-weight rows before fitting.
+ */
+
+class OLSEngine {
+
+  // ==========================================================================
+  // DATA LAYOUT ADAPTERS
+  // ==========================================================================
+
+  /**
+   * Fit from row-major predictors
+   */
+  static fit(X, y, options = {}) {
+    const includeIntercept = options.includeIntercept !== false;
+    const n = y.length;
+    const p = n > 0 && X[0] ? X[0].length : 0;
+
+    if (X.length !== n) {
+      throw new Error(`X has ${X.length} rows but y has ${n} observations`);
+    }
+
+    const design = includeIntercept ? X.map(row => [1, ...row]) : X.map(row => row.slice());
+    const names = options.names || Array.from({ length: p }, (_, j) => `X${j + 1}`);
+
+    return OLSEngine.fitDesign(design, y, {
+      ...options,
+      includeIntercept: includeIntercept,
+      names: includeIntercept ? ['(Intercept)', ...names] : names.slice()
+    });
+  }
+
+  /**
+   * Fit from column-major predictors
+   */
+  static fitColumns(y, X, options = {}) {
+    const n = y.length;
+    const rows = Array.from({ length: n }, (_, i) => X.map(col => col[i]));
+    return OLSEngine.fit(rows, y, options);
+  }
+
+  // ==========================================================================
+  // ESTIMATION
+  // ==========================================================================
+
+  /**
+   * Fit a full design matrix (intercept column already included when wanted)
+   */
+  static fitDesign(design, y, options = {}) {
+    const includeIntercept = options.includeIntercept !== false;
+    const alpha = options.alpha === undefined ? 0.05 : options.alpha;
+    const n = y.length;
+    const k = design.length > 0 ? design[0].length : 0;
+
+    if (k === 0) {
+      throw new Error('No terms in the model');
+    }
+
+    // WLS is OLS on rows scaled by sqrt(w)
+    const weights = options.weights || null;
+    const weightType = weights ? (options.weightType || 'analytic') : null;
+    if (weights) {
+      OLSEngine.validateWeights(weights, weightType, n);
+    }
+    const rootWeights = weights ? weights.map(w => Math.sqrt(w)) : null;
+    const wDesign = weights ? design.map((row, i) => row.map(v => v * rootWeights[i])) : design;
+    const wY = weights ? y.map((v, i) => v * rootWeights[i]) : y;
+
+    // Least squares by Householder QR; aliased columns get NaN coefficients
+    const ls = LinearAlgebra.leastSquares(wDesign, wY, options.tolerance);
+    const rank = ls.qr.rank;
+    const nEffective = weightType === 'frequency' ? weights.reduce((sum, w) => sum + w, 0) : n;
+
+    if (nEffective <= rank) {
+      throw new Error(`Insufficient observations (${nEffective}) for ${rank} coefficients. Need at least ${rank + 1}.`);
+    }
+
+    const aliased = ls.coefficients.map(b => isNaN(b));
+    const estimable = ls.coefficients.map(b => (isNaN(b) ? 0 : b));
+    const fittedValues = design.map(row => LinearAlgebra.dot(row, estimable));
+    const residuals = y.map((yi, i) => yi - fittedValues[i]);
+    const weightedResiduals = weights ? residuals.map((e, i) => e * rootWeights[i]) : residuals;
+
+    // Scatter (R'R)^-1 back to the original column order; aliased rows/columns are NaN
+    const pivotedCov = LinearAlgebra.qrUnscaledCovariance(ls.qr);
+    const unscaledCov = Array.from({ length: k }, () => new Array(k).fill(NaN));
+    for (let a = 0; a < rank; a++) {
+      for (let b = 0; b < rank; b++) {
+        unscaledCov[ls.qr.pivot[a]][ls.qr.pivot[b]] = pivotedCov[a][b];
+      }
+    }
+
+    return OLSEngine.summarize({
+      design: design,
+      y: y,
+      weights: weights,
+      weightType: weightType,
+      weightedDesign: wDesign,
+      nEffective: nEffective,
+      coefficients: ls.coefficients,
+      unscaledCov: unscaledCov,
+      fittedValues: fittedValues,
+      residuals: residuals,
+      weightedResiduals: weightedResiduals,
+      rank: rank,
+      aliased: aliased,
+      qr: ls.qr,
+      includeIntercept: includeIntercept,
+      alpha: alpha,
+      vcovType: options.vcovType || 'classical',
+      vcovOptions: options.vcovOptions || {},
+      names: options.names || Array.from({ length: k }, (_, j) => `X${j + 1}`)
+    });
+  }
+
+  /**
+   * Weights must be positive and finite (drop zero-weight rows before fitting);
+   * frequency weights must also be whole numbers
+   */
+  static validateWeights(weights, weightType, n) {
+    if (weights.length !== n) {
+      throw new Error(`Weights have ${weights.length} values but the model has ${n} observations`);
+    }
+    if (weightType !== 'analytic' && weightType !== 'frequency') {
+      throw new Error(`Unknown weight type: ${weightType}`);
+    }
+    weights.forEach((w, i) => {
+      if (typeof w !== 'number' || !isFinite(w) || w <= 0) {
+        throw new Error(`Weight in row ${i + 1} must be a positive number (got ${w})`);
+      }
+      if (weightType === 'frequency' && Math.round(w) !== w) {
+        throw new Error(`Frequency weight in row ${i + 1} must be a whole number (got ${w})`);
+      }
+    });
+  }
+
+  /**
+   * Inference, ANOVA decomposition and fit statistics for an estimated model
+   */
+  static summarize(fit) {
+    const { design, y, coefficients, unscaledCov, fittedValues, residuals, includeIntercept, alpha } = fit;
+    const n = y.length;
+    const k = coefficients.length;
+    const p = includeIntercept ? k - 1 : k;
+    const rank = fit.rank === undefined ? k : fit.rank;
+    const aliased = fit.aliased || new Array(k).fill(false);
+    const weights = fit.weights || null;
+    const w = weights || new Array(n).fill(1);
+    const nEffective = fit.nEffective === undefined ? n : fit.nEffective;
+    const weightedResiduals = fit.weightedResiduals || residuals;
+
+    // Sums of squares (weighted when weights are given)
+    const sumW = w.reduce((sum, wi) => sum + wi, 0);
+    const yMean = includeIntercept ? y.reduce((sum, v, i) => sum + w[i] * v, 0) / sumW : 0;
+    const ssTotal = y.reduce((sum, v, i) => sum + w[i] * (v - yMean) * (v - yMean), 0);
+    const ssResidual = weightedResiduals.reduce((sum, r) => sum + r * r, 0);
+    const ssRegression = Math.max(0, ssTotal - ssResidual);
+
+    // Degrees of freedom and mean squares (frequency weights count as replicated rows)
+    const dfTotal = includeIntercept ? nEffective - 1 : nEffective;
+    const dfResidual = nEffective - rank;
+    const dfRegression = dfTotal - dfResidual;
+    const msResidual = ssResidual / dfResidual;
+    const msRegression = dfRegression > 0 ? ssRegression / dfRegression : NaN;
+    const rmse = Math.sqrt(msResidual);
+
+    // R-squared
+    const rSquared = ssTotal > 0 ? 1 - ssResidual / ssTotal : NaN;
+    const adjRSquared = 1 - (1 - rSquared) * dfTotal / dfResidual;
+
+    // Coefficient covariance: classical sigma^2 (X'WX)^-1 or a robust sandwich.
+    // Sandwich estimators see the sqrt(w)-scaled design and residuals for
+    // analytic weights, and the raw rows with their replicate counts for
+    // frequency weights (as if the data were expanded).
+    const vcovType = fit.vcovType || 'classical';
+    const frequency = fit.weightType === 'frequency';
+    const vcov = vcovType === 'classical'
+      ? unscaledCov.map(row => row.map(v => v * msResidual))
+      : RobustCovariance.compute({
+        design: frequency ? design : (fit.weightedDesign || design),
+        residuals: frequency ? residuals : weightedResiduals,
+        frequencyWeights: frequency ? weights : null,
+        unscaledCov: unscaledCov,
+        aliased: aliased
+      }, vcovType, fit.vcovOptions);
+    const vcovLabel = vcovType === 'classical'
+      ? 'Classical'
+      : RobustCovariance.describe(vcovType, fit.vcovOptions, n);
+
+    // Overall F test of the non-intercept terms. With the classical vcov this is
+    // MSR / MSE; otherwise it is the Wald F built from the chosen vcov.
+    const anovaFStat = dfRegression > 0 ? msRegression / msResidual : NaN;
+    const anovaFPValue = dfRegression > 0 ? Distributions.fSurvival(anovaFStat, dfRegression, dfResidual) : NaN;
+    let fStat = anovaFStat;
+    let fPValue = anovaFPValue;
+    if (dfRegression > 0) {
+      if (vcovType !== 'classical') {
+        const tested = coefficients
+          .map((b, i) => i)
+          .filter(i => !aliased[i] && !(includeIntercept && i === 0));
+        const wald = OLSEngine.waldTest(coefficients, vcov, tested, dfResidual);
+        fStat = wald.fStat;
+        fPValue = wald.pValue;
+      }
+    }
+
+    // Coefficient inference
+    const standardErrors = vcov.map((row, i) => (aliased[i] ? NaN : Math.sqrt(Math.max(0, row[i]))));
+    const tStats = coefficients.map((b, i) => b / standardErrors[i]);
+    const pValues = tStats.map(t => Distributions.tPValue(t, dfResidual));
+    const tCrit = Distributions.tCritical(alpha, dfResidual);
+    const confIntLower = coefficients.map((b, i) => b - tCrit * standardErrors[i]);
+    const confIntUpper = coefficients.map((b, i) => b + tCrit * standardErrors[i]);
+
+    // Information criteria. Analytic weights follow R's logLik.lm
+    // (0.5 sum(log w) - N/2 (log(2 pi) + 1 - log N + log(sum w e^2)));
+    // frequency weights are the likelihood of the expanded data.
+    let logLik;
+    if (fit.weightType === 'frequency') {
+      logLik = -nEffective / 2 * (Math.log(2 * Math.PI) + Math.log(ssResidual / nEffective) + 1);
+    } else {
+      const sumLogW = w.reduce((sum, wi) => sum + Math.log(wi), 0);
+      logLik = 0.5 * sumLogW - n / 2 * (Math.log(2 * Math.PI) + 1 - Math.log(n) + Math.log(ssResidual));
+    }
+    const aic = -2 * logLik + 2 * (rank + 1);
+    const bic = -2 * logLik + Math.log(nEffective) * (rank + 1);
+
+    return {
+      n: n,
+      k: k,
+      p: p,
+      includeIntercept: includeIntercept,
+      alpha: alpha,
+      names: fit.names,
+      rank: rank,
+      aliased: aliased,
+      aliasedNames: fit.names.filter((_, i) => aliased[i]),
+      weights: weights,
+      weightType: fit.weightType || null,
+      nEffective: nEffective,
+      coefficients: coefficients,
+      standardErrors: standardErrors,
+      tStats: tStats,
+      pValues: pValues,
+      confIntLower: confIntLower,
+      confIntUpper: confIntUpper,
+      vcovType: vcovType,
+      vcovLabel: vcovLabel,
+      vcov: vcov,
+      fittedValues: fittedValues,
+      residuals: residuals,
+      weightedResiduals: weightedResiduals,
+      ssRegression: ssRegression,
+      ssResidual: ssResidual,
+      ssTotal: ssTotal,
+      dfRegression: dfRegression,
+      dfResidual: dfResidual,
+      dfTotal: dfTotal,
+      msRegression: msRegression,
+      msResidual: msResidual,
+      fStat: fStat,
+      fPValue: fPValue,
+      anovaFStat: anovaFStat,
+      anovaFPValue: anovaFPValue,
+      rSquared: rSquared,
+      adjRSquared: adjRSquared,
+      rmse: rmse,
+      logLik: logLik,
+      aic: aic,
+      bic: bic,
+      design: design,
+      y: y,
+      qr: fit.qr || null
+    };
+  }
+
+  // ==========================================================================
+  // HYPOTHESIS TESTS
+  // ==========================================================================
+
+  /**
+   * Wald F test that the coefficients at the given indices are all zero:
+   * F = b' V^-1 b / q on (q, dfResidual) degrees of freedom
+   */
+  static waldTest(coefficients, vcov, indices, dfResidual) {
+    const q = indices.length;
+    if (q === 0) {
+      return { fStat: NaN, df1: 0, df2: dfResidual, pValue: NaN };
+    }
+    const b = indices.map(i => coefficients[i]);
+    const V = indices.map(i => indices.map(j => vcov[i][j]));
+    const Vinv = LinearAlgebra.inverse(V);
+    const quadratic = LinearAlgebra.dot(b, LinearAlgebra.multiplyVector(Vinv, b));
+
+    // Two-way cluster covariances need not be positive definite
+    if (!(quadratic >= 0)) {
+      return { fStat: NaN, df1: q, df2: dfResidual, pValue: NaN };
+    }
+
+    const fStat = quadratic / q;
+    return {
+      fStat: fStat,
+      df1: q,
+      df2: dfResidual,
+      pValue: Distributions.fSurvival(fStat, q, dfResidual)
+    };
+  }
+
+  // ==========================================================================
+  // SERIALIZATION
+  // ==========================================================================
+
+  /**
+   * Copy of a fit for JSON storage (sessionStorage / localStorage): drops the
+   * design matrix, response and QR factorization, and weightedResiduals when
+   * it only repeats residuals
+   */
+  static serializable(fit) {
+    const { design, y, qr, weightedResiduals, ...rest } = fit;
+    return fit.weights ? { ...rest, weightedResiduals: weightedResiduals } : rest;
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.OLSEngine = OLSEngine;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OLSEngine;
+}
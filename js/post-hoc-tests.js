@@ -0,0 +1,399 @@
+/**
+ * Post-hoc Tests
+ * Pairwise multiple comparisons of group means after an ANOVA
+ * Requires js/distributions.js (and js/anova-engine.js for Dunn's ranks)
+ *
+ * Methods (all pairs unless noted; SE uses the ANOVA error mean square):
+ *   tukey        Tukey HSD / Tukey-Kramer, studentized range
+ *   bonferroni   t tests, p x number of comparisons
+ *   holm         t tests, Holm's step-down adjustment (CIs are Bonferroni)
+ *   scheffe      F = t^2 / (k - 1) against F(k - 1, df error)
+ *   gamesHowell  unequal variances: Welch SE and df per pair, studentized range
+ *   dunnett      each group against a control, two-sided multivariate t
+ * Intervals are simultaneous at level 1 - alpha for every method but Holm.
+ *
+ * Nonparametric: dunn() compares mean ranks after a Kruskal-Wallis test
+ * (normal approximation with tie correction, Holm or Bonferroni adjusted).
+ *
+ * Repeated measures: paired() runs paired t tests between conditions measured
+ * on the same subjects (Holm or Bonferroni adjusted, Bonferroni intervals).
+ *
+ * Differences are later group minus earlier group (in the given order), or
+ * group minus control for Dunnett. A compact letter display is built from the
+ * all-pairs results: groups that share a letter are not significantly different.
+ */
+
+const POST_HOC_METHODS = {
+  tukey: 'Tukey HSD',
+  bonferroni: 'Bonferroni',
+  holm: 'Holm',
+  scheffe: 'Scheffé',
+  gamesHowell: 'Games-Howell',
+  dunnett: 'Dunnett'
+};
+
+class PostHocTests {
+
+  /**
+   * @param {Array<Object>} groups - [{ group, n, mean, sd }] (empty groups are ignored)
+   * @param {Object} options
+   *   method      one of POST_HOC_METHODS (default 'tukey')
+   *   mse         error mean square of the ANOVA
+   *   dfResidual  its degrees of freedom
+   *   alpha       family-wise level (default 0.05)
+   *   control     control group for Dunnett (default: first group)
+   * @returns {Object} { method, label, alpha, comparisons, letters, control }
+   *   comparisons: [{ comparison, group1, group2, diff, se, statistic, df,
+   *                   pValue, pAdjusted, ciLower, ciUpper, significant }]
+   *   letters: [{ group, n, mean, letters }] sorted by mean, descending
+   *   (null for Dunnett)
+   */
+  static compare(groups, options = {}) {
+    const method = options.method || 'tukey';
+    if (!POST_HOC_METHODS[method]) throw new Error(`Unknown post-hoc method: ${method}`);
+    const alpha = options.alpha || 0.05;
+    const used = groups.filter(g => g.n > 0);
+    const k = used.length;
+    if (k < 2) throw new Error('Post-hoc comparisons need at least 2 groups');
+
+    const mse = options.mse;
+    const df = options.dfResidual;
+    let comparisons;
+    let control = null;
+
+    if (method === 'dunnett') {
+      control = options.control !== undefined && options.control !== null
+        ? used.find(g => String(g.group) === String(options.control))
+        : used[0];
+      if (!control) throw new Error(`Control group "${options.control}" has no data`);
+      comparisons = PostHocTests.dunnett(used, control, mse, df, alpha);
+    } else if (method === 'gamesHowell') {
+      comparisons = PostHocTests.gamesHowell(used, alpha);
+    } else {
+      comparisons = PostHocTests.pooled(used, method, mse, df, alpha);
+    }
+
+    comparisons.forEach(c => { c.significant = c.pAdjusted < alpha; });
+
+    return {
+      method: method,
+      label: POST_HOC_METHODS[method],
+      alpha: alpha,
+      comparisons: comparisons,
+      letters: method === 'dunnett' ? null : PostHocTests.compactLetters(used, comparisons),
+      control: control ? control.group : null
+    };
+  }
+
+  /**
+   * Index pairs (i < j) of all pairwise comparisons
+   */
+  static pairs(k) {
+    const result = [];
+    for (let i = 0; i < k - 1; i++) {
+      for (let j = i + 1; j < k; j++) result.push([i, j]);
+    }
+    return result;
+  }
+
+  static comparison(g1, g2, diff, se, statistic, df) {
+    return {
+      comparison: `${g2.group} - ${g1.group}`,
+      group1: g1.group,
+      group2: g2.group,
+      diff: diff,
+      se: se,
+      statistic: statistic,
+      df: df,
+      pValue: Distributions.tPValue(statistic, df)
+    };
+  }
+
+  // ==========================================================================
+  // POOLED-VARIANCE METHODS
+  // ==========================================================================
+
+  /**
+   * Tukey, Bonferroni, Holm and Scheffé, all with SE from the error mean square
+   */
+  static pooled(groups, method, mse, df, alpha) {
+    if (!(mse > 0) || !(df > 0)) throw new Error('The ANOVA error mean square is not available');
+    const k = groups.length;
+    const pairs = PostHocTests.pairs(k);
+    const m = pairs.length;
+
+    const comparisons = pairs.map(([i, j]) => {
+      const g1 = groups[i];
+      const g2 = groups[j];
+      const diff = g2.mean - g1.mean;
+      const se = Math.sqrt(mse * (1 / g1.n + 1 / g2.n));
+      return PostHocTests.comparison(g1, g2, diff, se, diff / se, df);
+    });
+
+    let critical;
+    switch (method) {
+      case 'tukey':
+        critical = Distributions.tukeyQuantile(1 - alpha, k, df) / Math.SQRT2;
+        comparisons.forEach(c => {
+          c.pAdjusted = Distributions.tukeySurvival(Math.abs(c.statistic) * Math.SQRT2, k, df);
+        });
+        break;
+      case 'bonferroni':
+      case 'holm':
+        critical = Distributions.tCritical(alpha / m, df);
+        if (method === 'bonferroni') {
+          comparisons.forEach(c => { c.pAdjusted = Math.min(1, c.pValue * m); });
+        } else {
+          const adjusted = PostHocTests.holmAdjust(comparisons.map(c => c.pValue));
+          comparisons.forEach((c, idx) => { c.pAdjusted = adjusted[idx]; });
+        }
+        break;
+      case 'scheffe':
+        critical = Math.sqrt((k - 1) * Distributions.fQuantile(1 - alpha, k - 1, df));
+        comparisons.forEach(c => {
+          c.pAdjusted = Distributions.fSurvival(c.statistic * c.statistic / (k - 1), k - 1, df);
+        });
+        break;
+    }
+
+    comparisons.forEach(c => {
+      c.ciLower = c.diff - critical * c.se;
+      c.ciUpper = c.diff + critical * c.se;
+    });
+    return comparisons;
+  }
+
+  /**
+   * Holm step-down adjusted p-values, in the input order
+   */
+  static holmAdjust(pValues) {
+    const m = pValues.length;
+    const order = pValues.map((p, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+    const adjusted = new Array(m);
+    let running = 0;
+    order.forEach((idx, rank) => {
+      running = Math.max(running, Math.min(1, (m - rank) * pValues[idx]));
+      adjusted[idx] = running;
+    });
+    return adjusted;
+  }
+
+  // ==========================================================================
+  // GAMES-HOWELL
+  // ==========================================================================
+
+  static gamesHowell(groups, alpha) {
+    if (groups.some(g => g.n < 2)) throw new Error('Games-Howell needs at least 2 observations per group');
+    const k = groups.length;
+
+    return PostHocTests.pairs(k).map(([i, j]) => {
+      const g1 = groups[i];
+      const g2 = groups[j];
+      const v1 = g1.sd * g1.sd / g1.n;
+      const v2 = g2.sd * g2.sd / g2.n;
+      const se = Math.sqrt(v1 + v2);
+      // Welch-Satterthwaite degrees of freedom for the pair
+      const df = (v1 + v2) * (v1 + v2) / (v1 * v1 / (g1.n - 1) + v2 * v2 / (g2.n - 1));
+      const diff = g2.mean - g1.mean;
+      const c = PostHocTests.comparison(g1, g2, diff, se, diff / se, df);
+      const critical = Distributions.tukeyQuantile(1 - alpha, k, df) / Math.SQRT2;
+      c.pAdjusted = Distributions.tukeySurvival(Math.abs(c.statistic) * Math.SQRT2, k, df);
+      c.ciLower = diff - critical * se;
+      c.ciUpper = diff + critical * se;
+      return c;
+    });
+  }
+
+  // ==========================================================================
+  // DUNNETT
+  // ==========================================================================
+
+  static dunnett(groups, control, mse, df, alpha) {
+    if (!(mse > 0) || !(df > 0)) throw new Error('The ANOVA error mean square is not available');
+    const treatments = groups.filter(g => g !== control);
+    const lambdas = treatments.map(g => Math.sqrt(g.n / (g.n + control.n)));
+    const critical = Distributions.dunnettQuantile(1 - alpha, lambdas, df);
+
+    return treatments.map(g => {
+      const diff = g.mean - control.mean;
+      const se = Math.sqrt(mse * (1 / g.n + 1 / control.n));
+      const c = PostHocTests.comparison(control, g, diff, se, diff / se, df);
+      c.pAdjusted = Distributions.dunnettSurvival(Math.abs(c.statistic), lambdas, df);
+      c.ciLower = diff - critical * se;
+      c.ciUpper = diff + critical * se;
+      return c;
+    });
+  }
+
+  // ==========================================================================
+  // PAIRED (REPEATED MEASURES)
+  // ==========================================================================
+
+  /**
+   * Paired t tests of all pairs of conditions
+   * @param {Array<Object>} conditions - [{ group, values }], values aligned by subject
+   * @param {Object} options - { alpha = 0.05, adjust = 'holm' | 'bonferroni' }
+   * @returns {Object} same shape as compare(), method 'paired'
+   */
+  static paired(conditions, options = {}) {
+    const alpha = options.alpha || 0.05;
+    const adjust = options.adjust === 'bonferroni' ? 'bonferroni' : 'holm';
+    const k = conditions.length;
+    if (k < 2) throw new Error('Paired comparisons need at least 2 conditions');
+    const n = conditions[0].values.length;
+    if (n < 2) throw new Error('Paired comparisons need at least 2 subjects');
+
+    const pairs = PostHocTests.pairs(k);
+    const critical = Distributions.tCritical(alpha / pairs.length, n - 1);
+    const groups = conditions.map(c => ({
+      group: c.group,
+      n: n,
+      mean: c.values.reduce((sum, v) => sum + v, 0) / n
+    }));
+
+    const comparisons = pairs.map(([i, j]) => {
+      const d = conditions[j].values.map((v, s) => v - conditions[i].values[s]);
+      const diff = d.reduce((sum, v) => sum + v, 0) / n;
+      const sd = Math.sqrt(d.reduce((sum, v) => sum + (v - diff) * (v - diff), 0) / (n - 1));
+      const se = sd / Math.sqrt(n);
+      const c = PostHocTests.comparison(groups[i], groups[j], diff, se, diff / se, n - 1);
+      c.ciLower = diff - critical * se;
+      c.ciUpper = diff + critical * se;
+      return c;
+    });
+
+    const adjusted = adjust === 'bonferroni'
+      ? comparisons.map(c => Math.min(1, c.pValue * comparisons.length))
+      : PostHocTests.holmAdjust(comparisons.map(c => c.pValue));
+    comparisons.forEach((c, idx) => {
+      c.pAdjusted = adjusted[idx];
+      c.significant = c.pAdjusted < alpha;
+    });
+
+    return {
+      method: 'paired',
+      label: `Paired t (${adjust === 'bonferroni' ? 'Bonferroni' : 'Holm'})`,
+      alpha: alpha,
+      adjust: adjust,
+      comparisons: comparisons,
+      letters: PostHocTests.compactLetters(groups, comparisons),
+      control: null
+    };
+  }
+
+  // ==========================================================================
+  // DUNN (NONPARAMETRIC)
+  // ==========================================================================
+
+  /**
+   * Dunn's test of all pairs of mean ranks
+   * @param {Array<Object>} groups - [{ group, values }]
+   * @param {Object} options - { alpha = 0.05, adjust = 'holm' | 'bonferroni' }
+   * @returns {Object} { method, label, alpha, adjust, comparisons: [{ comparison,
+   *   group1, group2, diff (mean rank difference), se, statistic (z), pValue,
+   *   pAdjusted, significant }], meanRanks: [{ group, n, meanRank }] }
+   */
+  static dunn(groups, options = {}) {
+    const alpha = options.alpha || 0.05;
+    const adjust = options.adjust || 'holm';
+    const used = groups.filter(g => g.values.length > 0);
+    if (used.length < 2) throw new Error('Dunn\'s test needs at least 2 groups');
+
+    const { ranks, tieSum, n } = AnovaEngine.rankGroups(used.map(g => g.values));
+    const meanRanks = ranks.map(r => r.reduce((sum, v) => sum + v, 0) / r.length);
+    const variance = n * (n + 1) / 12 - tieSum / (12 * (n - 1));
+
+    const comparisons = PostHocTests.pairs(used.length).map(([i, j]) => {
+      const diff = meanRanks[j] - meanRanks[i];
+      const se = Math.sqrt(variance * (1 / used[i].values.length + 1 / used[j].values.length));
+      const z = diff / se;
+      return {
+        comparison: `${used[j].group} - ${used[i].group}`,
+        group1: used[i].group,
+        group2: used[j].group,
+        diff: diff,
+        se: se,
+        statistic: z,
+        pValue: 2 * Distributions.normalCdf(-Math.abs(z))
+      };
+    });
+
+    const adjusted = adjust === 'bonferroni'
+      ? comparisons.map(c => Math.min(1, c.pValue * comparisons.length))
+      : PostHocTests.holmAdjust(comparisons.map(c => c.pValue));
+    comparisons.forEach((c, idx) => {
+      c.pAdjusted = adjusted[idx];
+      c.significant = c.pAdjusted < alpha;
+    });
+
+    return {
+      method: 'dunn',
+      label: 'Dunn',
+      alpha: alpha,
+      adjust: adjust,
+      comparisons: comparisons,
+      meanRanks: used.map((g, i) => ({ group: g.group, n: g.values.length, meanRank: meanRanks[i] }))
+    };
+  }
+
+  // ==========================================================================
+  // COMPACT LETTER DISPLAY
+  // ==========================================================================
+
+  /**
+   * Insert-and-absorb algorithm (Piepho 2004): start with one letter for all
+   * groups; each significant difference splits every letter shared by the
+   * pair, and letters covered by another letter are dropped.
+   * Letters are assigned from the highest mean down.
+   */
+  static compactLetters(groups, comparisons) {
+    const order = groups.map((g, i) => i).sort((a, b) => groups[b].mean - groups[a].mean);
+    const indexOf = new Map(groups.map((g, i) => [String(g.group), i]));
+    const isSubset = (a, b) => [...a].every(x => b.has(x));
+
+    let sets = [new Set(order)];
+    comparisons.filter(c => c.significant).forEach(c => {
+      const i = indexOf.get(String(c.group1));
+      const j = indexOf.get(String(c.group2));
+      const next = [];
+      sets.forEach(set => {
+        if (set.has(i) && set.has(j)) {
+          const withoutI = new Set(set);
+          withoutI.delete(i);
+          const withoutJ = new Set(set);
+          withoutJ.delete(j);
+          next.push(withoutI, withoutJ);
+        } else {
+          next.push(set);
+        }
+      });
+      sets = next.filter((set, a) => set.size > 0 && !next.some((other, b) =>
+        b !== a && isSubset(set, other) && (set.size < other.size || b < a)));
+    });
+
+    // Name letters by the best-ranked group they contain
+    const rankOf = new Map(order.map((g, r) => [g, r]));
+    const firstRank = set => Math.min(...[...set].map(g => rankOf.get(g)));
+    sets.sort((a, b) => firstRank(a) - firstRank(b));
+    const letterName = idx => (idx < 26
+      ? String.fromCharCode(97 + idx)
+      : String.fromCharCode(97 + Math.floor(idx / 26) - 1) + String.fromCharCode(97 + idx % 26));
+
+    return order.map(g => ({
+      group: groups[g].group,
+      n: groups[g].n,
+      mean: groups[g].mean,
+      letters: sets.map((set, idx) => (set.has(g) ? letterName(idx) : '')).join('')
+    }));
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.PostHocTests = PostHocTests;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PostHocTests;
+}
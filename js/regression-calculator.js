@@ -1,7 +1,8 @@
 /**
  * Pure JavaScript Regression Calculator
  * Performs OLS (Ordinary Least Squares) regression
- * No dependencies - completely self-contained
+ * Thin wrapper over js/ols-engine.js for column-major data (see OLSEngine for the result schema)
+ * Requires js/linear-algebra.js, js/distributions.js and js/ols-engine.js
  */
 
 class RegressionCalculator {
@@ -14,7 +15,7 @@ class RegressionCalculator {
    * @param {Array} y - Dependent variable array
    * @param {Array<Array>} X - Independent variables matrix (each column is a variable)
    * @param {boolean} includeIntercept - Whether to include intercept term
-   * @returns {Object} - Regression results
+   * @returns {Object} - OLSEngine result plus vif[]
    */
   calculate(y, X, includeIntercept = true) {
     console.log('🔢 Starting regression calculation...');
@@ -43,99 +44,19 @@ class RegressionCalculator {
       throw new Error(`Insufficient observations (${n}) for ${k} predictors. Need at least ${k + 2}.`);
     }
 
-    // Add intercept column if requested
-    let XMatrix = XClean;
-    if (includeIntercept) {
-      XMatrix = [Array(n).fill(1), ...XClean]; // Add column of 1s at the beginning
-    }
+    // Fit with the shared engine (column-major adapter)
+    const results = OLSEngine.fitColumns(yClean, XClean, {
+      includeIntercept: includeIntercept,
+      alpha: 0.05
+    });
 
-    // Calculate regression coefficients: β = (X'X)^(-1) X'y
-    const coefficients = this.calculateCoefficients(XMatrix, yClean);
-    
-    // Calculate fitted values
-    const yHat = this.predictValues(XMatrix, coefficients);
-    
-    // Calculate residuals
-    const residuals = yClean.map((yi, i) => yi - yHat[i]);
-    
-    // Calculate Sum of Squares
-    const yMean = this.mean(yClean);
-    const SST = yClean.reduce((sum, yi) => sum + Math.pow(yi - yMean, 2), 0); // Total SS
-    const SSR = yHat.reduce((sum, yhi) => sum + Math.pow(yhi - yMean, 2), 0); // Regression SS
-    const SSE = residuals.reduce((sum, ri) => sum + Math.pow(ri, 2), 0); // Error SS
-    
-    // Degrees of freedom
-    const dfTotal = n - 1;
-    const dfRegression = includeIntercept ? k : k - 1;
-    const dfResidual = n - (includeIntercept ? k + 1 : k);
-    
-    // Mean Squares
-    const MSR = SSR / dfRegression;
-    const MSE = SSE / dfResidual;
-    const RMSE = Math.sqrt(MSE);
-    
-    // F-statistic
-    const fStat = MSR / MSE;
-    const fPValue = this.fDistributionPValue(fStat, dfRegression, dfResidual);
-    
-    // R-squared
-    const rSquared = SSR / SST;
-    const adjRSquared = 1 - ((1 - rSquared) * (n - 1) / dfResidual);
-    
-    // Standard errors and t-statistics
-    const XTX = this.matrixMultiply(this.transpose(XMatrix), XMatrix);
-    const XTXInv = this.invertMatrix(XTX);
-    const varCovarMatrix = XTXInv.map(row => row.map(val => val * MSE));
-    
-    const standardErrors = varCovarMatrix.map((row, i) => Math.sqrt(row[i]));
-    const tStats = coefficients.map((coef, i) => coef / standardErrors[i]);
-    const pValues = tStats.map(t => this.tDistributionPValue(Math.abs(t), dfResidual) * 2);
-    
-    // Confidence intervals (95%)
-    const tCritical = this.tCriticalValue(0.025, dfResidual);
-    const confIntLower = coefficients.map((coef, i) => coef - tCritical * standardErrors[i]);
-    const confIntUpper = coefficients.map((coef, i) => coef + tCritical * standardErrors[i]);
-    
     // Calculate VIF (Variance Inflation Factor) for multicollinearity
-    const vif = this.calculateVIF(XMatrix, includeIntercept);
-    
-    // AIC and BIC
-    const numParams = includeIntercept ? k + 1 : k;
-    const logLikelihood = -n / 2 * (Math.log(2 * Math.PI) + Math.log(SSE / n) + 1);
-    const aic = -2 * logLikelihood + 2 * numParams;
-    const bic = -2 * logLikelihood + Math.log(n) * numParams;
-    
+    results.vif = this.calculateVIF(XClean, includeIntercept);
+
     console.log('✅ Regression calculation complete');
-    console.log(`   R² = ${rSquared.toFixed(4)}, F = ${fStat.toFixed(2)}, p < ${fPValue.toFixed(4)}`);
+    console.log(`   R² = ${results.rSquared.toFixed(4)}, F = ${results.fStat.toFixed(2)}, p < ${results.fPValue.toFixed(4)}`);
 
-    return {
-      coefficients: coefficients,
-      standardErrors: standardErrors,
-      tStats: tStats,
-      pValues: pValues,
-      confIntLower: confIntLower,
-      confIntUpper: confIntUpper,
-      vif: vif,
-      fittedValues: yHat,
-      residuals: residuals,
-      rSquared: rSquared,
-      adjRSquared: adjRSquared,
-      fStat: fStat,
-      fPValue: fPValue,
-      rmse: RMSE,
-      aic: aic,
-      bic: bic,
-      n: n,
-      k: k,
-      dfRegression: dfRegression,
-      dfResidual: dfResidual,
-      SSR: SSR,
-      SSE: SSE,
-      SST: SST,
-      MSR: MSR,
-      MSE: MSE,
-      includeIntercept: includeIntercept
-    };
+    return results;
   }
 
   /**
@@ -160,166 +81,25 @@ class RegressionCalculator {
            (typeof value === 'number' && isNaN(value));
   }
 
-  /**
-   * Calculate regression coefficients using OLS
-   */
-  calculateCoefficients(X, y) {
-    // β = (X'X)^(-1) X'y
-    const XT = this.transpose(X);
-    const XTX = this.matrixMultiply(XT, X);
-    const XTXInv = this.invertMatrix(XTX);
-    const XTy = this.vectorMatrixMultiply(XT, y);
-    const beta = this.vectorMatrixMultiply(XTXInv, XTy);
-    return beta;
-  }
-
-  /**
-   * Predict values using coefficients
-   */
-  predictValues(X, coefficients) {
-    const n = X[0].length;
-    const predictions = [];
-    for (let i = 0; i < n; i++) {
-      let pred = 0;
-      for (let j = 0; j < X.length; j++) {
-        pred += X[j][i] * coefficients[j];
-      }
-      predictions.push(pred);
-    }
-    return predictions;
-  }
-
-  /**
-   * Matrix transpose
-   */
-  transpose(matrix) {
-    const rows = matrix.length;
-    const cols = matrix[0].length;
-    const result = [];
-    for (let j = 0; j < cols; j++) {
-      const row = [];
-      for (let i = 0; i < rows; i++) {
-        row.push(matrix[i][j]);
-      }
-      result.push(row);
-    }
-    return result;
-  }
-
-  /**
-   * Matrix multiplication
-   */
-  matrixMultiply(A, B) {
-    const rowsA = A.length;
-    const colsA = A[0].length;
-    const colsB = B[0].length;
-    
-    const result = [];
-    for (let i = 0; i < rowsA; i++) {
-      const row = [];
-      for (let j = 0; j < colsB; j++) {
-        let sum = 0;
-        for (let k = 0; k < colsA; k++) {
-          sum += A[i][k] * B[k][j];
-        }
-        row.push(sum);
-      }
-      result.push(row);
-    }
-    return result;
-  }
-
-  /**
-   * Vector-matrix multiplication
-   */
-  vectorMatrixMultiply(matrix, vector) {
-    return matrix.map(row => 
-      row.reduce((sum, val, i) => sum + val * vector[i], 0)
-    );
-  }
-
-  /**
-   * Matrix inversion using Gauss-Jordan elimination
-   */
-  invertMatrix(matrix) {
-    const n = matrix.length;
-    const augmented = matrix.map((row, i) => [
-      ...row,
-      ...Array(n).fill(0).map((_, j) => i === j ? 1 : 0)
-    ]);
-
-    // Forward elimination
-    for (let i = 0; i < n; i++) {
-      // Find pivot
-      let maxRow = i;
-      for (let k = i + 1; k < n; k++) {
-        if (Math.abs(augmented[k][i]) > Math.abs(augmented[maxRow][i])) {
-          maxRow = k;
-        }
-      }
-      [augmented[i], augmented[maxRow]] = [augmented[maxRow], augmented[i]];
-
-      // Make diagonal 1
-      const pivot = augmented[i][i];
-      if (Math.abs(pivot) < 1e-10) {
-        throw new Error('Matrix is singular or near-singular');
-      }
-      for (let j = 0; j < 2 * n; j++) {
-        augmented[i][j] /= pivot;
-      }
-
-      // Eliminate column
-      for (let k = 0; k < n; k++) {
-        if (k !== i) {
-          const factor = augmented[k][i];
-          for (let j = 0; j < 2 * n; j++) {
-            augmented[k][j] -= factor * augmented[i][j];
-          }
-        }
-      }
-    }
-
-    // Extract inverse
-    return augmented.map(row => row.slice(n));
-  }
-
   /**
    * Calculate VIF for each predictor
+   * @param {Array<Array>} X - Predictor columns (without the intercept)
    */
   calculateVIF(X, includeIntercept) {
-    const vif = [];
-    const startIdx = includeIntercept ? 1 : 0; // Skip intercept if present
-    
-    for (let i = startIdx; i < X.length; i++) {
+    const vif = X.map((xi, i) => {
+      const otherX = X.filter((_, idx) => idx !== i);
+      if (otherX.length === 0) {
+        return 1.0; // Only one predictor
+      }
       try {
         // Regress Xi on all other X variables
-        const y = X[i];
-        const otherX = X.filter((_, idx) => idx !== i && (idx >= startIdx));
-        
-        if (otherX.length === 0) {
-          vif.push(1.0); // Only one predictor
-          continue;
-        }
-        
-        const cleanData = this.removeMissingValues(y, otherX);
-        const result = this.calculateCoefficients(otherX, cleanData.y);
-        const predictions = this.predictValues(otherX, result);
-        
-        // Calculate R²
-        const yMean = this.mean(cleanData.y);
-        const SST = cleanData.y.reduce((sum, yi) => sum + Math.pow(yi - yMean, 2), 0);
-        const SSR = predictions.reduce((sum, yhi, idx) => 
-          sum + Math.pow(yhi - yMean, 2), 0);
-        const rSquared = SSR / SST;
-        
-        // VIF = 1 / (1 - R²)
-        const vifValue = 1 / (1 - rSquared);
-        vif.push(Math.max(1, vifValue)); // VIF should be at least 1
+        const aux = OLSEngine.fitColumns(xi, otherX, { includeIntercept: includeIntercept });
+        return Math.max(1, 1 / (1 - aux.rSquared)); // VIF should be at least 1
       } catch (e) {
-        vif.push(NaN);
+        return NaN;
       }
-    }
-    
+    });
+
     return includeIntercept ? [NaN, ...vif] : vif; // Add placeholder for intercept
   }
 
@@ -331,63 +111,27 @@ class RegressionCalculator {
   }
 
   /**
-   * F-distribution p-value (approximation)
+   * F-distribution p-value (upper tail)
    */
   fDistributionPValue(f, df1, df2) {
     if (f < 0) return 1;
-    // Use incomplete beta function approximation
-    const x = df2 / (df2 + df1 * f);
-    return this.incompleteBeta(x, df2 / 2, df1 / 2);
+    return Distributions.fSurvival(f, df1, df2);
   }
 
   /**
-   * T-distribution p-value (approximation)
+   * T-distribution p-value (two-tailed)
    */
   tDistributionPValue(t, df) {
-    if (t < 0) t = -t;
-    const x = df / (df + t * t);
-    return this.incompleteBeta(x, df / 2, 0.5);
+    return Distributions.tPValue(t, df);
   }
 
   /**
    * T critical value for confidence intervals
+   * @param {number} alpha - Upper-tail probability (0.025 for a 95% CI)
+   * @param {number} df - Degrees of freedom
    */
   tCriticalValue(alpha, df) {
-    // Approximation for t-critical value (95% CI)
-    if (df >= 120) return 1.96; // Normal approximation
-    const tValues = {
-      1: 12.706, 2: 4.303, 3: 3.182, 4: 2.776, 5: 2.571,
-      10: 2.228, 20: 2.086, 30: 2.042, 40: 2.021, 50: 2.009,
-      60: 2.000, 80: 1.990, 100: 1.984, 120: 1.980
-    };
-    
-    // Find closest df
-    const keys = Object.keys(tValues).map(Number).sort((a, b) => a - b);
-    for (let i = 0; i < keys.length; i++) {
-      if (df <= keys[i]) return tValues[keys[i]];
-    }
-    return 1.96;
-  }
-
-  /**
-   * Incomplete beta function (approximation)
-   */
-  incompleteBeta(x, a, b) {
-    if (x <= 0) return 0;
-    if (x >= 1) return 1;
-    
-    // Simple approximation
-    const term1 = Math.pow(x, a) * Math.pow(1 - x, b) / a;
-    let sum = term1;
-    let term = term1;
-    
-    for (let i = 0; i < 100; i++) {
-      term *= (a + b + i) * x / (a + i + 1);
-      sum += term / (a + i + 1);
-      if (Math.abs(term) < 1e-10) break;
-    }
-    
-    return sum;
+    return Distributions.tQuantile(1 - alpha, df);
   }
 }
 
@@ -123,6 +123,18 @@ function displayCoefficientsTable(results) {
     tdVar.textContent = results.allVarNames[i] || `Variable ${i}`;
     tr.appendChild(tdVar);
     
+    // Aliased (linearly dependent) terms are not estimable
+    if (results.aliased && results.aliased[i]) {
+      const tdNA = document.createElement('td');
+      tdNA.colSpan = 7;
+      tdNA.textContent = 'NA (aliased - linear combination of other terms)';
+      tdNA.style.color = 'var(--text-muted)';
+      tdNA.style.fontStyle = 'italic';
+      tr.appendChild(tdNA);
+      tbody.appendChild(tr);
+      continue;
+    }
+    
     // Coefficient
     const tdCoef = document.createElement('td');
     tdCoef.textContent = formatNumber(results.coefficients[i], 4);
@@ -185,11 +197,15 @@ function displayRegressionEquation(results) {
     const coef = results.coefficients[i];
     const varName = results.allVarNames[i];
     
+    if (results.aliased && results.aliased[i]) continue;
+    
     if (varName === '(Intercept)') {
       parts.push(formatNumber(coef, 3));
     } else {
       const sign = coef >= 0 ? '+' : '';
-      parts.push(`${sign} ${formatNumber(coef, 3)} × ${varName}`);
+      // Bracket interaction products so "b × A×B" reads as one term
+      const term = varName.includes('×') ? `(${varName})` : varName;
+      parts.push(`${sign} ${formatNumber(coef, 3)} × ${term}`);
     }
   }
   
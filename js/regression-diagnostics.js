@@ -0,0 +1,800 @@
+/**
+ * Regression Diagnostics
+ * Multicollinearity, residual autocorrelation, PRESS and influence measures
+ * for a linear model, computed in the browser (no cloud function or network access needed)
+ *
+ * Requires js/linear-algebra.js, js/distributions.js, js/robust-covariance.js and
+ * js/ols-engine.js
+ *
+ * RegressionDiagnostics.compute(payload) takes the request body that
+ * RegressionDiagnosticsIntegration used to POST to the cloud function:
+ *   { x: [[...], ...] (row-major, no intercept column), y: [...], intercept,
+ *     thresholds: { high_corr, perfect_corr } }
+ * and returns the same diagnostics object the cloud function returned:
+ *   multicollinearity: {
+ *     condition_number    sqrt(largest / smallest eigenvalue) of X'X with the
+ *                         design columns scaled to unit length (Belsley);
+ *                         Infinity when the design is rank deficient
+ *     determinant         determinant of the predictors' correlation matrix
+ *                         (1 = orthogonal, 0 = perfectly collinear)
+ *     vif[k]              1 / (1 - R_j^2) per design column; NaN for the intercept
+ *     high_correlations   [{ i, j, r, perfect }] design-column pairs with |r| >= high_corr
+ *   }
+ *   autocorrelation: { durbin_watson, lag1_autocorr }   residuals in row order
+ *   leverage: { press, hat_values[n] }   PRESS = sum (e_i / (1 - h_ii))^2
+ *   n, warnings
+ * Design-column indices (vif, high_correlations) count the intercept as 0
+ * when it is present. Rows with a missing or non-numeric value are dropped.
+ *
+ * RegressionDiagnostics.influence(fit) adds per-observation influence measures
+ * (leverage, studentized residuals, Cook's D, DFFITS, DFBETAS, COVRATIO) for
+ * an OLSEngine result; see its doc comment. heteroscedasticityTests(fit)
+ * runs the Breusch-Pagan, Koenker, White and Goldfeld-Quandt tests and
+ * specificationTests(fit) the RESET, Rainbow and Harvey-Collier tests.
+ * lowess() and normalQQ() supply the smoother and Q-Q coordinates for the
+ * residual plots.
+ */
+
+class RegressionDiagnostics {
+
+  // ==========================================================================
+  // ENTRY POINT
+  // ==========================================================================
+
+  /**
+   * All diagnostics for the cloud-function payload layout
+   */
+  static compute(payload) {
+    const includeIntercept = payload.intercept !== false;
+    const thresholds = payload.thresholds || {};
+    const highCorr = thresholds.high_corr === undefined ? 0.9 : thresholds.high_corr;
+    const perfectCorr = thresholds.perfect_corr === undefined ? 0.9999 : thresholds.perfect_corr;
+    const warnings = [];
+
+    // Listwise deletion of incomplete rows
+    const rows = payload.y
+      .map((yi, i) => ({ x: payload.x[i] || [], y: yi }))
+      .filter(row => RegressionDiagnostics.isNumber(row.y) && row.x.every(RegressionDiagnostics.isNumber));
+    const dropped = payload.y.length - rows.length;
+    if (dropped > 0) {
+      warnings.push(`${dropped} row${dropped === 1 ? '' : 's'} with a missing value dropped`);
+    }
+
+    const design = rows.map(row => (includeIntercept ? [1, ...row.x] : row.x.slice()));
+    const y = rows.map(row => row.y);
+    const k = design.length > 0 ? design[0].length : 0;
+    const names = Array.from({ length: includeIntercept ? k - 1 : k }, (_, j) => `X${j + 1}`);
+    const fit = OLSEngine.fitDesign(design, y, {
+      includeIntercept: includeIntercept,
+      names: includeIntercept ? ['(Intercept)', ...names] : names
+    });
+    if (fit.rank < fit.k) {
+      warnings.push(`Design is rank deficient: ${fit.aliasedNames.join(', ')} aliased`);
+    }
+
+    return {
+      multicollinearity: {
+        condition_number: RegressionDiagnostics.conditionNumber(design, fit.rank),
+        determinant: RegressionDiagnostics.correlationDeterminant(design, includeIntercept),
+        vif: RegressionDiagnostics.vif(design, includeIntercept),
+        high_correlations: RegressionDiagnostics.highCorrelations(design, highCorr, perfectCorr)
+      },
+      autocorrelation: {
+        durbin_watson: RegressionDiagnostics.durbinWatson(fit.residuals),
+        lag1_autocorr: RegressionDiagnostics.lag1Autocorrelation(fit.residuals)
+      },
+      leverage: RegressionDiagnostics.press(fit),
+      n: y.length,
+      warnings: warnings
+    };
+  }
+
+  // Blank cells ('' or null), text and TRUE / FALSE are missing, not zero
+  static isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+
+  // ==========================================================================
+  // MULTICOLLINEARITY
+  // ==========================================================================
+
+  /**
+   * Belsley-Kuh-Welsch condition number: columns scaled to unit length (not
+   * centered), so the intercept's collinearity with the predictors counts
+   */
+  static conditionNumber(design, rank) {
+    const k = design.length > 0 ? design[0].length : 0;
+    if (k === 0) return NaN;
+    if (rank < k) return Infinity;
+
+    const xtx = LinearAlgebra.crossProduct(design);
+    const scale = xtx.map((row, j) => Math.sqrt(row[j]));
+    const scaled = xtx.map((row, i) => row.map((v, j) => v / (scale[i] * scale[j])));
+    const eigenvalues = LinearAlgebra.symmetricEigenvalues(scaled);
+    const smallest = eigenvalues[eigenvalues.length - 1];
+    return smallest > 0 ? Math.sqrt(eigenvalues[0] / smallest) : Infinity;
+  }
+
+  /**
+   * Pearson correlation of two columns (NaN when either is constant)
+   */
+  static correlation(a, b) {
+    const n = a.length;
+    const meanA = a.reduce((sum, v) => sum + v, 0) / n;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / n;
+    let sab = 0;
+    let saa = 0;
+    let sbb = 0;
+    for (let i = 0; i < n; i++) {
+      sab += (a[i] - meanA) * (b[i] - meanB);
+      saa += (a[i] - meanA) * (a[i] - meanA);
+      sbb += (b[i] - meanB) * (b[i] - meanB);
+    }
+    return saa > 0 && sbb > 0 ? sab / Math.sqrt(saa * sbb) : NaN;
+  }
+
+  static columns(design) {
+    const k = design.length > 0 ? design[0].length : 0;
+    return Array.from({ length: k }, (_, j) => design.map(row => row[j]));
+  }
+
+  /**
+   * Determinant of the correlation matrix of the non-intercept columns
+   */
+  static correlationDeterminant(design, includeIntercept) {
+    const columns = RegressionDiagnostics.columns(design).slice(includeIntercept ? 1 : 0);
+    if (columns.length < 2) return 1;
+    const R = columns.map(a => columns.map(b => RegressionDiagnostics.correlation(a, b)));
+    if (R.some(row => row.some(v => isNaN(v)))) return NaN;
+    return LinearAlgebra.determinant(R);
+  }
+
+  /**
+   * Variance inflation factors: column j regressed on the other design columns.
+   * R_j^2 is centered when the model has an intercept, uncentered otherwise
+   * (as in R's car::vif and statsmodels).
+   */
+  static vif(design, includeIntercept) {
+    const columns = RegressionDiagnostics.columns(design);
+    return columns.map((column, j) => {
+      if (includeIntercept && j === 0) return NaN;
+      const others = design.map(row => row.filter((_, c) => c !== j));
+      if (others[0].length === 0) return 1;
+      try {
+        const aux = OLSEngine.fitDesign(others, column, { includeIntercept: includeIntercept });
+        return aux.rSquared < 1 ? 1 / (1 - aux.rSquared) : Infinity;
+      } catch (err) {
+        return NaN;
+      }
+    });
+  }
+
+  /**
+   * Design-column pairs whose absolute correlation reaches the threshold
+   */
+  static highCorrelations(design, highCorr, perfectCorr) {
+    const columns = RegressionDiagnostics.columns(design);
+    const pairs = [];
+    for (let i = 0; i < columns.length; i++) {
+      for (let j = i + 1; j < columns.length; j++) {
+        const r = RegressionDiagnostics.correlation(columns[i], columns[j]);
+        if (Math.abs(r) >= highCorr) {
+          pairs.push({ i: i, j: j, r: r, perfect: Math.abs(r) >= perfectCorr });
+        }
+      }
+    }
+    return pairs;
+  }
+
+  // ==========================================================================
+  // AUTOCORRELATION
+  // ==========================================================================
+
+  /**
+   * Durbin-Watson d = sum (e_t - e_{t-1})^2 / sum e_t^2
+   */
+  static durbinWatson(residuals) {
+    let numerator = 0;
+    for (let t = 1; t < residuals.length; t++) {
+      numerator += (residuals[t] - residuals[t - 1]) ** 2;
+    }
+    const denominator = residuals.reduce((sum, e) => sum + e * e, 0);
+    return denominator > 0 ? numerator / denominator : NaN;
+  }
+
+  /**
+   * Lag-1 sample autocorrelation of the residuals (mean-centered, as R's acf)
+   */
+  static lag1Autocorrelation(residuals) {
+    const n = residuals.length;
+    const mean = residuals.reduce((sum, e) => sum + e, 0) / n;
+    let numerator = 0;
+    for (let t = 1; t < n; t++) {
+      numerator += (residuals[t] - mean) * (residuals[t - 1] - mean);
+    }
+    const denominator = residuals.reduce((sum, e) => sum + (e - mean) ** 2, 0);
+    return denominator > 0 ? numerator / denominator : NaN;
+  }
+
+  // ==========================================================================
+  // PREDICTION
+  // ==========================================================================
+
+  /**
+   * PRESS from the leave-one-out residuals e_i / (1 - h_ii)
+   */
+  static press(fit) {
+    const hatValues = LinearAlgebra.qrHatValues(fit.qr);
+    const press = fit.residuals.reduce((sum, e, i) => sum + (e / (1 - hatValues[i])) ** 2, 0);
+    return { press: press, hat_values: hatValues };
+  }
+
+  // ==========================================================================
+  // INFLUENCE
+  // ==========================================================================
+
+  /**
+   * Case-deletion influence measures for an OLSEngine fit (R's influence.measures).
+   * With weights everything is computed on the sqrt(w)-scaled design and residuals.
+   * p is the rank; aliased coefficients get NaN DFBETAS.
+   * @returns {Object} { n, p, hatValues[n], studentized[n], rstudent[n],
+   *   cooksDistance[n], dffits[n], dfbetas[n][k], covratio[n], cutoffs }
+   */
+  static influence(fit) {
+    const { qr, rank: p } = fit;
+    const n = fit.y.length;
+    const k = fit.coefficients.length;
+    const residuals = fit.weightedResiduals || fit.residuals;
+    const rootWeights = fit.weights ? fit.weights.map(w => Math.sqrt(w)) : null;
+    const design = rootWeights ? fit.design.map((row, i) => row.map(v => v * rootWeights[i])) : fit.design;
+
+    const df = n - p;
+    const s2 = residuals.reduce((sum, e) => sum + e * e, 0) / df;
+    const hatValues = LinearAlgebra.qrHatValues(qr);
+
+    // (X'X)^-1 of the estimable columns, in pivoted order
+    const cov = LinearAlgebra.qrUnscaledCovariance(qr);
+    const estimable = qr.pivot.slice(0, p);
+
+    const studentized = [];
+    const rstudent = [];
+    const cooksDistance = [];
+    const dffits = [];
+    const dfbetas = [];
+    const covratio = [];
+    for (let i = 0; i < n; i++) {
+      const e = residuals[i];
+      const h = hatValues[i];
+      // Leave-one-out residual variance s_(i)^2
+      const s2i = (df * s2 - e * e / (1 - h)) / (df - 1);
+      const r = e / Math.sqrt(s2 * (1 - h));
+      const t = e / Math.sqrt(s2i * (1 - h));
+      studentized.push(r);
+      rstudent.push(t);
+      cooksDistance.push(r * r * h / (p * (1 - h)));
+      dffits.push(t * Math.sqrt(h / (1 - h)));
+      covratio.push(Math.pow(s2i / s2, p) / (1 - h));
+
+      // b - b_(i) = (X'X)^-1 x_i e_i / (1 - h_i), scaled by s_(i) sqrt((X'X)^-1_jj)
+      const x = estimable.map(j => design[i][j]);
+      const row = new Array(k).fill(NaN);
+      estimable.forEach((j, a) => {
+        const change = LinearAlgebra.dot(cov[a], x) * e / (1 - h);
+        row[j] = change / Math.sqrt(s2i * cov[a][a]);
+      });
+      dfbetas.push(row);
+    }
+
+    return {
+      n: n,
+      p: p,
+      hatValues: hatValues,
+      studentized: studentized,
+      rstudent: rstudent,
+      cooksDistance: cooksDistance,
+      dffits: dffits,
+      dfbetas: dfbetas,
+      covratio: covratio,
+      cutoffs: RegressionDiagnostics.influenceCutoffs(n, p)
+    };
+  }
+
+  /**
+   * Conventional flagging thresholds (Belsley, Kuh & Welsch 1980; Cook & Weisberg 1982).
+   * An observation is flagged when |value| exceeds the cutoff; COVRATIO is
+   * flagged when |COVRATIO - 1| exceeds its cutoff.
+   */
+  static influenceCutoffs(n, p) {
+    return {
+      hatValues: 2 * p / n,
+      studentized: 2,
+      rstudent: 2,
+      cooksDistance: 4 / n,
+      dffits: 2 * Math.sqrt(p / n),
+      dfbetas: 2 / Math.sqrt(n),
+      covratio: 3 * p / n
+    };
+  }
+
+  // ==========================================================================
+  // HETEROSCEDASTICITY
+  // ==========================================================================
+
+  /**
+   * Breusch-Pagan, Koenker, White and Goldfeld-Quandt tests for an OLSEngine fit.
+   * orderings: [{ name, values[n] }] candidate orderings for Goldfeld-Quandt.
+   * A test that cannot be computed (e.g. too few observations per group) is
+   * returned as { test, error }.
+   */
+  static heteroscedasticityTests(fit, orderings = []) {
+    const attempt = (test, fn) => {
+      try {
+        return fn();
+      } catch (err) {
+        return { test: test, error: err.message };
+      }
+    };
+    return {
+      breuschPagan: attempt('Breusch-Pagan', () => RegressionDiagnostics.breuschPagan(fit, { studentize: false })),
+      koenker: attempt('Koenker', () => RegressionDiagnostics.breuschPagan(fit, { studentize: true })),
+      white: attempt('White', () => RegressionDiagnostics.whiteTest(fit, { crossTerms: true })),
+      whiteNoCross: attempt('White', () => RegressionDiagnostics.whiteTest(fit, { crossTerms: false })),
+      goldfeldQuandt: orderings.map(ordering => ({
+        orderBy: ordering.name,
+        ...attempt('Goldfeld-Quandt', () => RegressionDiagnostics.goldfeldQuandt(fit, ordering.values, { orderBy: ordering.name }))
+      }))
+    };
+  }
+
+  /**
+   * Columns of the (sqrt(w)-scaled) design; the auxiliary regressions add
+   * their own constant, so a duplicate intercept is simply aliased
+   */
+  static scaledDesign(fit) {
+    if (!fit.weights) return fit.design;
+    const rootWeights = fit.weights.map(w => Math.sqrt(w));
+    return fit.design.map((row, i) => row.map(v => v * rootWeights[i]));
+  }
+
+  /**
+   * Regress u on [1, Z]; df is the number of estimable non-constant regressors
+   */
+  static auxiliaryRegression(Z, u) {
+    const aux = OLSEngine.fitDesign(Z.map(row => [1, ...row]), u, { includeIntercept: true });
+    return { ess: aux.ssRegression, rSquared: aux.rSquared, df: aux.rank - 1 };
+  }
+
+  /**
+   * Breusch-Pagan test (R's lmtest::bptest): squared residuals regressed on
+   * the model's regressors. Classic: ESS / 2 of e^2 / (RSS / n), which assumes
+   * normal errors; studentize = true gives Koenker's robust n R^2.
+   * Both are chi-square with (rank - 1) df under homoscedasticity.
+   */
+  static breuschPagan(fit, options = {}) {
+    const studentize = options.studentize !== false;
+    const residuals = fit.weightedResiduals || fit.residuals;
+    const n = residuals.length;
+    const sigma2 = residuals.reduce((sum, e) => sum + e * e, 0) / n;
+    const aux = RegressionDiagnostics.auxiliaryRegression(
+      RegressionDiagnostics.scaledDesign(fit), residuals.map(e => e * e / sigma2));
+    const statistic = studentize ? n * aux.rSquared : aux.ess / 2;
+    return RegressionDiagnostics.chiSquareResult(studentize ? 'Koenker' : 'Breusch-Pagan', statistic, aux.df);
+  }
+
+  /**
+   * White's test: n R^2 of e^2 on the regressors, their squares and (with
+   * crossTerms) their pairwise products; chi-square with (rank - 1) df.
+   * Duplicate columns (e.g. squares of 0/1 dummies) are aliased and use no df.
+   */
+  static whiteTest(fit, options = {}) {
+    const crossTerms = options.crossTerms !== false;
+    const residuals = fit.weightedResiduals || fit.residuals;
+    const n = residuals.length;
+    const Z = RegressionDiagnostics.scaledDesign(fit).map(row => {
+      const terms = row.slice();
+      for (let j = 0; j < row.length; j++) {
+        for (let l = j; l < (crossTerms ? row.length : j + 1); l++) {
+          terms.push(row[j] * row[l]);
+        }
+      }
+      return terms;
+    });
+    const aux = RegressionDiagnostics.auxiliaryRegression(Z, residuals.map(e => e * e));
+    const result = RegressionDiagnostics.chiSquareResult('White', n * aux.rSquared, aux.df);
+    result.crossTerms = crossTerms;
+    return result;
+  }
+
+  /**
+   * Goldfeld-Quandt test (R's lmtest::gqtest): observations sorted by
+   * orderValues, the central fraction dropped, and the model refitted on
+   * the first and last groups. GQ = s2^2 / s1^2 ~ F(df2, df1); the default
+   * alternative is a variance increasing with the ordering variable.
+   * @param {Object} options { point = 0.5, fraction = 0, alternative = 'greater' | 'less' | 'two.sided', orderBy }
+   */
+  static goldfeldQuandt(fit, orderValues, options = {}) {
+    const point = options.point === undefined ? 0.5 : options.point;
+    const fraction = options.fraction || 0;
+    const alternative = options.alternative || 'greater';
+    const n = fit.y.length;
+
+    // Stable sort by the ordering variable
+    const order = fit.y.map((_, i) => i).sort((a, b) => orderValues[a] - orderValues[b] || a - b);
+    const last1 = Math.floor((1 - fraction) * point * n);
+    // lmtest's 1-based point2 = ceiling(n - (1 - fraction)(1 - point)n + 0.01)
+    const first2 = Math.ceil(n - (1 - fraction) * (1 - point) * n + 0.01) - 1;
+    const refit = rows => OLSEngine.fitDesign(
+      rows.map(i => fit.design[i]),
+      rows.map(i => fit.y[i]),
+      { includeIntercept: fit.includeIntercept, weights: fit.weights ? rows.map(i => fit.weights[i]) : null, weightType: fit.weightType }
+    );
+    const group1 = refit(order.slice(0, last1));
+    const group2 = refit(order.slice(first2));
+
+    const statistic = group2.msResidual / group1.msResidual;
+    const df = [group2.dfResidual, group1.dfResidual];
+    const lower = Distributions.fCdf(statistic, df[0], df[1]);
+    const upper = Distributions.fSurvival(statistic, df[0], df[1]);
+    const pValue = alternative === 'less' ? lower
+      : alternative === 'two.sided' ? Math.min(1, 2 * Math.min(lower, upper)) : upper;
+    return {
+      test: 'Goldfeld-Quandt',
+      statistic: statistic,
+      df: df,
+      pValue: pValue,
+      distribution: 'F',
+      orderBy: options.orderBy || null,
+      groupSizes: [last1, n - first2],
+      alternative: alternative
+    };
+  }
+
+  static chiSquareResult(test, statistic, df) {
+    return {
+      test: test,
+      statistic: statistic,
+      df: df,
+      pValue: df > 0 ? Distributions.chiSquareSurvival(statistic, df) : NaN,
+      distribution: 'chi-square'
+    };
+  }
+
+  // ==========================================================================
+  // SPECIFICATION (FUNCTIONAL FORM)
+  // ==========================================================================
+
+  /**
+   * Ramsey RESET (powers 2..2, 2..3 and 2..4 of the fitted values), Utts'
+   * Rainbow test and the Harvey-Collier test for an OLSEngine fit.
+   * orderings: [{ name, values[n] }] candidate orderings for Harvey-Collier,
+   * which is also run in data order. Failed tests are returned as { test, error }.
+   */
+  static specificationTests(fit, orderings = []) {
+    const attempt = (test, fn) => {
+      try {
+        return fn();
+      } catch (err) {
+        return { test: test, error: err.message };
+      }
+    };
+    return {
+      reset: [2, 3, 4].map(maxPower => ({
+        maxPower: maxPower,
+        ...attempt('RESET', () => RegressionDiagnostics.resetTest(fit, { maxPower: maxPower }))
+      })),
+      rainbow: attempt('Rainbow', () => RegressionDiagnostics.rainbowTest(fit)),
+      harveyCollier: [{ name: 'Data order', values: null }, ...orderings].map(ordering => ({
+        orderBy: ordering.name,
+        ...attempt('Harvey-Collier', () => RegressionDiagnostics.harveyCollier(fit, ordering.values, { orderBy: ordering.name }))
+      }))
+    };
+  }
+
+  /**
+   * Ramsey's RESET (R's lmtest::resettest, type = 'fitted'): refit with
+   * yhat^2 .. yhat^maxPower added and F-test the added terms. The fitted
+   * values are scaled to max |yhat| = 1 first, which leaves F unchanged.
+   */
+  static resetTest(fit, options = {}) {
+    const maxPower = options.maxPower || 3;
+    const scale = Math.max(...fit.fittedValues.map(Math.abs)) || 1;
+    const augmented = fit.design.map((row, i) => {
+      const s = fit.fittedValues[i] / scale;
+      return [...row, ...Array.from({ length: maxPower - 1 }, (_, j) => Math.pow(s, j + 2))];
+    });
+    const refit = OLSEngine.fitDesign(augmented, fit.y, {
+      includeIntercept: fit.includeIntercept,
+      weights: fit.weights,
+      weightType: fit.weightType
+    });
+    const q = refit.rank - fit.rank;
+    if (q === 0) {
+      throw new Error('Powers of the fitted values are collinear with the regressors');
+    }
+
+    const statistic = ((fit.ssResidual - refit.ssResidual) / q) / refit.msResidual;
+    return {
+      test: 'RESET',
+      statistic: statistic,
+      df: [q, refit.dfResidual],
+      pValue: Distributions.fSurvival(statistic, q, refit.dfResidual),
+      distribution: 'F',
+      powers: Array.from({ length: maxPower - 1 }, (_, j) => j + 2)
+    };
+  }
+
+  /**
+   * Utts' Rainbow test (R's lmtest::raintest, order.by = 'mahalanobis'):
+   * refit on the central fraction of the data - the observations whose
+   * predictors are closest to their means - and compare with the full fit.
+   * Rain = ((RSS - RSS_c) / (n - n_c)) / (RSS_c / df_c) ~ F(n - n_c, df_c)
+   */
+  static rainbowTest(fit, options = {}) {
+    const fraction = options.fraction === undefined ? 0.5 : options.fraction;
+    const n = fit.y.length;
+    const nCentral = Math.ceil(fraction * n);
+    const distances = RegressionDiagnostics.mahalanobisDistances(fit);
+    const central = fit.y.map((_, i) => i).sort((a, b) => distances[a] - distances[b] || a - b).slice(0, nCentral);
+
+    const refit = OLSEngine.fitDesign(
+      central.map(i => fit.design[i]),
+      central.map(i => fit.y[i]),
+      { includeIntercept: fit.includeIntercept, weights: fit.weights ? central.map(i => fit.weights[i]) : null, weightType: fit.weightType }
+    );
+    const df = [n - nCentral, refit.dfResidual];
+    const statistic = ((fit.ssResidual - refit.ssResidual) / df[0]) / refit.msResidual;
+    return {
+      test: 'Rainbow',
+      statistic: statistic,
+      df: df,
+      pValue: Distributions.fSurvival(statistic, df[0], df[1]),
+      distribution: 'F',
+      fraction: fraction
+    };
+  }
+
+  /**
+   * Mahalanobis distance of each row's estimable predictors (intercept
+   * excluded) from their means, up to the factor n - 1: the leverage of the
+   * mean-centered predictors. With an intercept this orders rows as the hat
+   * values do; without one the hat values measure distance from the origin.
+   */
+  static mahalanobisDistances(fit) {
+    const n = fit.y.length;
+    const centered = RegressionDiagnostics.columns(fit.design)
+      .filter((_, j) => !fit.aliased[j] && !(fit.includeIntercept && j === 0))
+      .map(column => {
+        const mean = column.reduce((sum, v) => sum + v, 0) / n;
+        return column.map(v => v - mean);
+      });
+    if (centered.length === 0) return new Array(n).fill(0);
+    const rows = fit.y.map((_, i) => centered.map(column => column[i]));
+    return LinearAlgebra.qrHatValues(LinearAlgebra.qr(rows));
+  }
+
+  /**
+   * Harvey-Collier test (R's lmtest::harvtest): under a correct linear form
+   * the recursive residuals, in the order of orderValues (row order when
+   * null), have mean zero. HC = sqrt(m) mean(w) / sd(w) ~ t(m - 1) for the
+   * m recursive residuals.
+   */
+  static harveyCollier(fit, orderValues = null, options = {}) {
+    const n = fit.y.length;
+    const order = fit.y.map((_, i) => i);
+    if (orderValues) {
+      order.sort((a, b) => orderValues[a] - orderValues[b] || a - b);
+    }
+    const rootWeights = fit.weights ? fit.weights.map(w => Math.sqrt(w)) : null;
+    const estimable = fit.aliased.map((_, j) => j).filter(j => !fit.aliased[j]);
+    const design = order.map(i => estimable.map(j => fit.design[i][j] * (rootWeights ? rootWeights[i] : 1)));
+    const y = order.map(i => fit.y[i] * (rootWeights ? rootWeights[i] : 1));
+
+    const w = RegressionDiagnostics.recursiveResiduals(design, y);
+    const m = w.length;
+    if (m < 2) {
+      throw new Error(`Too few observations (${n}) for the Harvey-Collier test`);
+    }
+    const mean = w.reduce((sum, v) => sum + v, 0) / m;
+    const sd = Math.sqrt(w.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (m - 1));
+    const statistic = Math.sqrt(m) * mean / sd;
+    return {
+      test: 'Harvey-Collier',
+      statistic: statistic,
+      df: m - 1,
+      pValue: Distributions.tPValue(statistic, m - 1),
+      distribution: 't',
+      orderBy: options.orderBy || null
+    };
+  }
+
+  /**
+   * Standardized one-step-ahead prediction errors (Brown, Durbin & Evans):
+   * w_t = (y_t - x_t' b_(t-1)) / sqrt(1 + x_t' (X'X)_(t-1)^-1 x_t), starting
+   * after the first rows that give a full-rank design. The estimates are
+   * updated by Sherman-Morrison rather than refitted at every step.
+   */
+  static recursiveResiduals(design, y) {
+    const n = y.length;
+    const k = design.length > 0 ? design[0].length : 0;
+    let start = k;
+    while (start < n && LinearAlgebra.qr(design.slice(0, start)).rank < k) {
+      start++;
+    }
+    if (start >= n) {
+      throw new Error('No initial subset of observations gives a full-rank design');
+    }
+
+    const initial = LinearAlgebra.leastSquares(design.slice(0, start), y.slice(0, start));
+    let b = initial.coefficients;
+    const pivotedCov = LinearAlgebra.qrUnscaledCovariance(initial.qr);
+    let P = Array.from({ length: k }, () => new Array(k).fill(0));
+    for (let a = 0; a < k; a++) {
+      for (let c = 0; c < k; c++) {
+        P[initial.qr.pivot[a]][initial.qr.pivot[c]] = pivotedCov[a][c];
+      }
+    }
+
+    const residuals = [];
+    for (let t = start; t < n; t++) {
+      const x = design[t];
+      const Px = LinearAlgebra.multiplyVector(P, x);
+      const f = 1 + LinearAlgebra.dot(x, Px);
+      const error = y[t] - LinearAlgebra.dot(x, b);
+      residuals.push(error / Math.sqrt(f));
+      b = b.map((bj, j) => bj + Px[j] * error / f);
+      P = P.map((row, i) => row.map((v, j) => v - Px[i] * Px[j] / f));
+    }
+    return residuals;
+  }
+
+  // ==========================================================================
+  // PLOTTING HELPERS
+  // ==========================================================================
+
+  /**
+   * Robust locally weighted regression (Cleveland 1979), a port of R's lowess:
+   * span f, nsteps robustness iterations, and points within delta of the last
+   * fitted x are interpolated.
+   * @returns {Object} { x, y } sorted by x
+   */
+  static lowess(xValues, yValues, f = 2 / 3, nsteps = 3) {
+    const order = xValues.map((_, i) => i).sort((a, b) => xValues[a] - xValues[b]);
+    const x = order.map(i => xValues[i]);
+    const y = order.map(i => yValues[i]);
+    const n = x.length;
+    if (n < 2) return { x: x, y: y.slice() };
+
+    const delta = 0.01 * (x[n - 1] - x[0]);
+    const ns = Math.max(Math.min(Math.floor(f * n + 1e-7), n), 2);
+    const ys = new Array(n).fill(0);
+    const rw = new Array(n).fill(1);
+    const res = new Array(n).fill(0);
+
+    for (let iter = 1; iter <= nsteps + 1; iter++) {
+      let nleft = 0;
+      let nright = ns - 1;
+      let last = -1;
+      let i = 0;
+      for (;;) {
+        // Slide the window of ns nearest neighbours along
+        if (nright < n - 1 && x[i] - x[nleft] > x[nright + 1] - x[i]) {
+          nleft++;
+          nright++;
+          continue;
+        }
+        const fitted = RegressionDiagnostics.lowessPoint(x, y, x[i], nleft, nright, iter > 1 ? rw : null);
+        ys[i] = fitted === null ? y[i] : fitted;
+
+        // Linear interpolation over skipped points
+        if (last < i - 1) {
+          const denom = x[i] - x[last];
+          for (let j = last + 1; j < i; j++) {
+            const alpha = (x[j] - x[last]) / denom;
+            ys[j] = alpha * ys[i] + (1 - alpha) * ys[last];
+          }
+        }
+        last = i;
+        const cut = x[last] + delta;
+        for (i = last + 1; i < n; i++) {
+          if (x[i] > cut) break;
+          if (x[i] === x[last]) {
+            ys[i] = ys[last];
+            last = i;
+          }
+        }
+        i = Math.max(last + 1, i - 1);
+        if (last >= n - 1) break;
+      }
+
+      for (let j = 0; j < n; j++) res[j] = y[j] - ys[j];
+      const sc = res.reduce((sum, r) => sum + Math.abs(r), 0) / n;
+      if (iter > nsteps) break;
+
+      // Bisquare robustness weights from 6 * median |residual|
+      const sorted = res.map(Math.abs).sort((a, b) => a - b);
+      const m1 = Math.floor(n / 2);
+      const cmad = n % 2 === 0 ? 3 * (sorted[m1] + sorted[n - m1 - 1]) : 6 * sorted[m1];
+      if (cmad < 1e-7 * sc) break;
+      for (let j = 0; j < n; j++) {
+        const r = Math.abs(res[j]);
+        rw[j] = r <= 0.001 * cmad ? 1 : r <= 0.999 * cmad ? (1 - (r / cmad) ** 2) ** 2 : 0;
+      }
+    }
+
+    return { x: x, y: ys };
+  }
+
+  /**
+   * Tricube-weighted local line at xs over x[nleft..nright] (R's lowest);
+   * null when every weight is zero
+   */
+  static lowessPoint(x, y, xs, nleft, nright, robustnessWeights) {
+    const n = x.length;
+    const range = x[n - 1] - x[0];
+    const h = Math.max(xs - x[nleft], x[nright] - xs);
+    const weights = [];
+    let total = 0;
+    let j = nleft;
+    for (; j < n; j++) {
+      const r = Math.abs(x[j] - xs);
+      let w = 0;
+      if (r <= 0.999 * h) {
+        w = r <= 0.001 * h ? 1 : (1 - (r / h) ** 3) ** 3;
+        if (robustnessWeights) w *= robustnessWeights[j];
+        total += w;
+      } else if (x[j] > xs) {
+        break;
+      }
+      weights.push(w);
+    }
+    if (total <= 0) return null;
+
+    const w = weights.map(v => v / total);
+    if (h > 0) {
+      const center = w.reduce((sum, v, k) => sum + v * x[nleft + k], 0);
+      const spread = w.reduce((sum, v, k) => sum + v * (x[nleft + k] - center) ** 2, 0);
+      if (Math.sqrt(spread) > 0.001 * range) {
+        const slope = (xs - center) / spread;
+        w.forEach((v, k) => { w[k] = v * (slope * (x[nleft + k] - center) + 1); });
+      }
+    }
+    return w.reduce((sum, v, k) => sum + v * y[nleft + k], 0);
+  }
+
+  /**
+   * Normal Q-Q coordinates (R's qqnorm with ppoints) and the qqline through
+   * the quartiles
+   * @returns {Object} { points: [{ theoretical, sample, index }], slope, intercept }
+   */
+  static normalQQ(values) {
+    const n = values.length;
+    const a = n <= 10 ? 3 / 8 : 1 / 2;
+    const order = values.map((_, i) => i).sort((i, j) => values[i] - values[j]);
+    const points = order.map((index, k) => ({
+      theoretical: Distributions.normalQuantile((k + 1 - a) / (n + 1 - 2 * a)),
+      sample: values[index],
+      index: index
+    }));
+
+    // qqline: quantile type 7 of the data against the normal quartiles
+    const sorted = order.map(i => values[i]);
+    const quantile = p => {
+      const h = (n - 1) * p;
+      const lo = Math.floor(h);
+      return sorted[lo] + (h - lo) * ((sorted[Math.min(lo + 1, n - 1)]) - sorted[lo]);
+    };
+    const z = Distributions.normalQuantile(0.75);
+    const slope = (quantile(0.75) - quantile(0.25)) / (2 * z);
+    return { points: points, slope: slope, intercept: quantile(0.25) + slope * z };
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.RegressionDiagnostics = RegressionDiagnostics;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RegressionDiagnostics;
+}
@@ -0,0 +1,293 @@
+/**
+ * Robust Covariance Estimators
+ * Sandwich estimators of Var(β) for an OLSEngine fit
+ * Requires js/linear-algebra.js
+ *
+ * Heteroscedasticity-consistent (White / MacKinnon-White / Cribari-Neto):
+ *   V = (X'X)^-1 X' diag(ω) X (X'X)^-1
+ *   HC0  ω_i = e_i^2
+ *   HC1  ω_i = e_i^2 n / (n - k)
+ *   HC2  ω_i = e_i^2 / (1 - h_i)
+ *   HC3  ω_i = e_i^2 / (1 - h_i)^2
+ *   HC4  ω_i = e_i^2 / (1 - h_i)^δ_i,  δ_i = min(4, n h_i / k)
+ * where h_i is the leverage and k the rank of X. These match R's
+ * sandwich::vcovHC.
+ *
+ * Cluster-robust (Liang-Zeger, CR1):
+ *   V = c B (Σ_g u_g u_g') B,  u_g = Σ_{i in g} x_i e_i,  B = (X'X)^-1
+ *   c = G / (G - 1) * (n - 1) / (n - k)
+ *   Two-way clustering uses Cameron-Gelbach-Miller: V = V_1 + V_2 - V_12, where
+ *   V_12 clusters on the intersection and each term gets its own G / (G - 1).
+ *   Matches R's sandwich::vcovCL(type = "HC1").
+ *
+ * Newey-West HAC with Bartlett weights w_l = 1 - l / (L + 1):
+ *   S = Σ_t u_t u_t' + Σ_{l=1..L} w_l Σ_t (u_t u_{t-l}' + u_{t-l} u_t'),  u_t = x_t e_t
+ *   V = B S B, rows taken in data order. Default lag L = floor(4 (n / 100)^(2/9)).
+ *   Matches sandwich::NeweyWest(lag = L, prewhite = FALSE, adjust = FALSE).
+ *
+ * Frequency weights (fit.frequencyWeights) give the result for the data with
+ * each row repeated w_i times: the meat weights row i by w_i, n = Σ w and
+ * the leverage is that of one replicate. Newey-West has no such expansion
+ * (the replicates' time order is undefined) and rejects frequency weights.
+ *
+ * Aliased coefficients are skipped; their rows/columns of the result are NaN.
+ */
+
+const ROBUST_VCOV_TYPES = ['HC0', 'HC1', 'HC2', 'HC3', 'HC4'];
+const CLUSTER_VCOV_TYPE = 'cluster';
+const HAC_VCOV_TYPE = 'HAC';
+
+class RobustCovariance {
+
+  /**
+   * Covariance matrix of the requested type for an estimated model
+   * @param {Object} fit - { design, residuals, unscaledCov, aliased, frequencyWeights }
+   * @param {string} type - 'HC0' ... 'HC4', 'cluster' or 'HAC'
+   * @param {Object} options - { clusters: [ids] or [ids1, ids2] } for 'cluster', { lag } for 'HAC'
+   * @returns {Array<Array>} k x k covariance matrix
+   */
+  static compute(fit, type, options = {}) {
+    if (ROBUST_VCOV_TYPES.includes(type)) {
+      return RobustCovariance.heteroscedasticityConsistent(fit, type);
+    }
+    if (type === CLUSTER_VCOV_TYPE) {
+      return RobustCovariance.clusterRobust(fit, options.clusters);
+    }
+    if (type === HAC_VCOV_TYPE) {
+      return RobustCovariance.neweyWest(fit, options.lag);
+    }
+    throw new Error(`Unknown covariance type: ${type}`);
+  }
+
+  /**
+   * Short human-readable label for a covariance type, e.g. "HC3",
+   * "Cluster (2-way: 12 x 30 clusters)" or "Newey-West (lag 4)"
+   */
+  static describe(type, options = {}, n = 0) {
+    if (!type || type === 'classical') return 'Classical';
+    if (type === CLUSTER_VCOV_TYPE) {
+      const counts = (options.clusters || []).map(ids => new Set(ids.map(String)).size);
+      return counts.length === 2
+        ? `Cluster (2-way: ${counts[0]} x ${counts[1]} clusters)`
+        : `Cluster (${counts[0]} clusters)`;
+    }
+    if (type === HAC_VCOV_TYPE) {
+      const lag = (options.lag === undefined || options.lag === null || isNaN(options.lag))
+        ? RobustCovariance.defaultLag(n)
+        : Math.min(Math.max(0, Math.floor(options.lag)), n - 1);
+      return `Newey-West (lag ${lag})`;
+    }
+    return type;
+  }
+
+  // ==========================================================================
+  // HETEROSCEDASTICITY-CONSISTENT (HC0-HC4)
+  // ==========================================================================
+
+  static heteroscedasticityConsistent(fit, type) {
+    const { X, bread, index } = RobustCovariance.estimablePart(fit);
+    const e = fit.residuals;
+    const replicates = RobustCovariance.replicates(fit);
+    const n = replicates.reduce((sum, w) => sum + w, 0);
+    const k = index.length;
+    const h = RobustCovariance.leverage(X, bread);
+
+    const omega = e.map((ei, i) => {
+      const e2 = ei * ei;
+      switch (type) {
+        case 'HC0':
+          return e2;
+        case 'HC1':
+          return e2 * n / (n - k);
+        case 'HC2':
+          return e2 / (1 - h[i]);
+        case 'HC3':
+          return e2 / Math.pow(1 - h[i], 2);
+        case 'HC4':
+          return e2 / Math.pow(1 - h[i], Math.min(4, n * h[i] / k));
+        default:
+          throw new Error(`Unknown covariance type: ${type}`);
+      }
+    });
+
+    // Meat: X' diag(w ω) X
+    const meat = LinearAlgebra.crossProduct(X.map((row, i) => row.map(v => v * Math.sqrt(replicates[i] * omega[i]))));
+    return RobustCovariance.expand(RobustCovariance.sandwich(bread, meat), index, fit.aliased.length);
+  }
+
+  // ==========================================================================
+  // CLUSTER-ROBUST (ONE- AND TWO-WAY)
+  // ==========================================================================
+
+  /**
+   * @param {Object} fit - Estimated model
+   * @param {Array<Array>} clusters - One or two arrays of cluster ids, aligned with the rows
+   */
+  static clusterRobust(fit, clusters) {
+    if (!clusters || clusters.length === 0) {
+      throw new Error('Cluster-robust standard errors need at least one cluster variable');
+    }
+    if (clusters.length > 2) {
+      throw new Error('At most two cluster variables are supported');
+    }
+
+    const { X, bread, index } = RobustCovariance.estimablePart(fit);
+    const replicates = RobustCovariance.replicates(fit);
+    const n = replicates.reduce((sum, w) => sum + w, 0);
+    const k = index.length;
+    clusters.forEach(ids => {
+      if (ids.length !== X.length) {
+        throw new Error(`Cluster variable has ${ids.length} values but the model has ${X.length} observations`);
+      }
+    });
+
+    // Scores u_i = w_i x_i e_i (replicates of a row share its cluster)
+    const scores = X.map((row, i) => row.map(v => v * replicates[i] * fit.residuals[i]));
+    const hc1 = (n - 1) / (n - k);
+
+    let V;
+    if (clusters.length === 1) {
+      V = RobustCovariance.clusterTerm(scores, clusters[0], bread);
+    } else {
+      const intersection = clusters[0].map((id, i) => `${id}\u0000${clusters[1][i]}`);
+      const V1 = RobustCovariance.clusterTerm(scores, clusters[0], bread);
+      const V2 = RobustCovariance.clusterTerm(scores, clusters[1], bread);
+      const V12 = RobustCovariance.clusterTerm(scores, intersection, bread);
+      V = V1.map((row, a) => row.map((v, b) => v + V2[a][b] - V12[a][b]));
+    }
+
+    V = V.map(row => row.map(v => v * hc1));
+    return RobustCovariance.expand(V, index, fit.aliased.length);
+  }
+
+  /**
+   * G / (G - 1) B (Σ_g u_g u_g') B for one clustering dimension
+   */
+  static clusterTerm(scores, ids, bread) {
+    const k = bread.length;
+    const sums = new Map();
+    scores.forEach((u, i) => {
+      const key = String(ids[i]);
+      if (!sums.has(key)) sums.set(key, new Array(k).fill(0));
+      const s = sums.get(key);
+      for (let j = 0; j < k; j++) s[j] += u[j];
+    });
+
+    const G = sums.size;
+    if (G < 2) {
+      throw new Error('Cluster-robust standard errors need at least two clusters');
+    }
+
+    const meat = LinearAlgebra.crossProduct(Array.from(sums.values()));
+    const adjust = G / (G - 1);
+    return RobustCovariance.sandwich(bread, meat).map(row => row.map(v => v * adjust));
+  }
+
+  // ==========================================================================
+  // NEWEY-WEST HAC
+  // ==========================================================================
+
+  /**
+   * @param {Object} fit - Estimated model (rows in time order)
+   * @param {number} lag - Maximum lag L (default floor(4 (n / 100)^(2/9)))
+   */
+  static neweyWest(fit, lag) {
+    if (fit.frequencyWeights) {
+      throw new Error('Newey-West standard errors are not available with frequency weights');
+    }
+    const { X, bread, index } = RobustCovariance.estimablePart(fit);
+    const n = X.length;
+    const k = index.length;
+    const L = (lag === undefined || lag === null || isNaN(lag))
+      ? RobustCovariance.defaultLag(n)
+      : Math.min(Math.max(0, Math.floor(lag)), n - 1);
+
+    const scores = X.map((row, i) => row.map(v => v * fit.residuals[i]));
+    const meat = LinearAlgebra.crossProduct(scores);
+
+    for (let l = 1; l <= L; l++) {
+      const w = 1 - l / (L + 1);
+      for (let t = l; t < n; t++) {
+        const ut = scores[t];
+        const us = scores[t - l];
+        for (let a = 0; a < k; a++) {
+          for (let b = 0; b < k; b++) {
+            meat[a][b] += w * (ut[a] * us[b] + us[a] * ut[b]);
+          }
+        }
+      }
+    }
+
+    return RobustCovariance.expand(RobustCovariance.sandwich(bread, meat), index, fit.aliased.length);
+  }
+
+  /**
+   * Newey-West (1994) rule-of-thumb lag length
+   */
+  static defaultLag(n) {
+    return Math.floor(4 * Math.pow(n / 100, 2 / 9));
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Design columns and (X'X)^-1 restricted to the estimable coefficients
+   */
+  static estimablePart(fit) {
+    const index = [];
+    fit.aliased.forEach((isAliased, j) => {
+      if (!isAliased) index.push(j);
+    });
+    return {
+      X: fit.design.map(row => index.map(j => row[j])),
+      bread: index.map(a => index.map(b => fit.unscaledCov[a][b])),
+      index: index
+    };
+  }
+
+  /**
+   * Number of replicates of each row: the frequency weights, else 1
+   */
+  static replicates(fit) {
+    return fit.frequencyWeights || fit.design.map(() => 1);
+  }
+
+  /**
+   * Hat values h_i = x_i' (X'X)^-1 x_i
+   */
+  static leverage(X, bread) {
+    return X.map(row => LinearAlgebra.dot(row, LinearAlgebra.multiplyVector(bread, row)));
+  }
+
+  /**
+   * B M B for symmetric B
+   */
+  static sandwich(bread, meat) {
+    return LinearAlgebra.multiply(LinearAlgebra.multiply(bread, meat), bread);
+  }
+
+  /**
+   * Scatter an estimable-only matrix back to k x k, NaN for aliased terms
+   */
+  static expand(V, index, k) {
+    const full = Array.from({ length: k }, () => new Array(k).fill(NaN));
+    index.forEach((a, i) => {
+      index.forEach((b, j) => {
+        full[a][b] = V[i][j];
+      });
+    });
+    return full;
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.RobustCovariance = RobustCovariance;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RobustCovariance;
+}
@@ -0,0 +1,141 @@
+/**
+ * Term ANOVA
+ * Per-term ANOVA tables with Type I, II and III sums of squares for linear
+ * models built by ModelTerms (ANCOVA: numeric and categorical predictors,
+ * interactions and polynomial terms)
+ * Requires js/linear-algebra.js, js/distributions.js, js/model-terms.js
+ *
+ * Every term is tested as a whole, so a categorical variable's k-1 contrast
+ * columns share one row with k-1 degrees of freedom. Each sum of squares is a
+ * difference of residual sums of squares between two nested fits:
+ *   Type I   sequential: the term added after the terms before it
+ *   Type II  the term after every other term that does not contain it
+ *            (a term contains another when its variables are a superset,
+ *            e.g. A×B contains A); matches R's car::Anova(type = 2)
+ *   Type III the term after all other terms. Fitted on a design in which
+ *            the categorical variables use effect (sum-to-zero) coding, so
+ *            the result does not depend on the contrasts chosen for display;
+ *            matches car::Anova(type = 3) with contr.sum and SAS/SPSS Type III
+ * Degrees of freedom are rank differences, so aliased columns do not count.
+ * All F tests use the residual mean square of the full model.
+ */
+
+class TermAnova {
+
+  /**
+   * @param {Array<Array>} design - n x p predictor matrix (rows; no intercept column)
+   * @param {Array<number>} y - Response
+   * @param {Array<number>} assign - Term index of each design column
+   * @param {Array<Object>} terms - ModelTerms terms, in model order
+   * @param {Object} options
+   *   includeIntercept (default true)
+   *   weights          WLS weights (default none)
+   *   dfResidual       residual df of the full model (default n - rank; pass
+   *                    the engine's value for frequency weights)
+   *   type3Design      same-shaped design with effect-coded factors (default: design)
+   *   tolerance        rank-detection tolerance for the QR fits
+   * @returns {Object} { type1, type2, type3, residual: { df, ss, ms } }
+   *   each table is [{ term, df, ss, ms, fStat, pValue }]
+   */
+  static compute(design, y, assign, terms, options = {}) {
+    const includeIntercept = options.includeIntercept !== false;
+    const tolerance = options.tolerance || 1e-7;
+    const sqrtW = options.weights ? options.weights.map(Math.sqrt) : null;
+    const ys = sqrtW ? y.map((v, i) => v * sqrtW[i]) : y;
+
+    // Residual SS and rank of the fit on the columns of the given terms
+    const fitter = X => {
+      const scaled = sqrtW ? X.map((row, i) => row.map(v => v * sqrtW[i])) : X;
+      return termSet => {
+        const cols = [];
+        assign.forEach((t, j) => {
+          if (termSet.has(t)) cols.push(j);
+        });
+        const A = scaled.map((row, i) => {
+          const r = cols.map(j => row[j]);
+          if (includeIntercept) r.unshift(sqrtW ? sqrtW[i] : 1);
+          return r;
+        });
+        if (A[0].length === 0) {
+          return { rss: LinearAlgebra.dot(ys, ys), rank: 0 };
+        }
+        const decomp = LinearAlgebra.qr(A, tolerance);
+        const qty = LinearAlgebra.qrQty(decomp, ys);
+        let rss = 0;
+        for (let i = decomp.rank; i < qty.length; i++) rss += qty[i] * qty[i];
+        return { rss: rss, rank: decomp.rank };
+      };
+    };
+
+    const rss = fitter(design);
+    const all = terms.map((_, t) => t);
+    const full = rss(new Set(all));
+    const dfResidual = options.dfResidual !== undefined ? options.dfResidual : y.length - full.rank;
+    const msResidual = full.rss / dfResidual;
+
+    const row = (t, reduced, larger) => {
+      const df = larger.rank - reduced.rank;
+      const ss = Math.max(0, reduced.rss - larger.rss);
+      const ms = df > 0 ? ss / df : NaN;
+      const fStat = df > 0 ? ms / msResidual : NaN;
+      return {
+        term: ModelTerms.label(terms[t]),
+        df: df,
+        ss: ss,
+        ms: ms,
+        fStat: fStat,
+        pValue: df > 0 && dfResidual > 0 ? Distributions.fSurvival(fStat, df, dfResidual) : NaN
+      };
+    };
+
+    // Type I: sequential
+    const type1 = [];
+    let previous = rss(new Set());
+    all.forEach(t => {
+      const current = rss(new Set(all.slice(0, t + 1)));
+      type1.push(row(t, previous, current));
+      previous = current;
+    });
+
+    // Type II: each term after all terms that do not contain it
+    const type2 = all.map(t => {
+      const others = all.filter(u => u !== t && !TermAnova.contains(terms[u], terms[t]));
+      const reduced = rss(new Set(others));
+      const larger = rss(new Set([...others, t]));
+      return row(t, reduced, larger);
+    });
+
+    // Type III: each term after all other terms, sum-to-zero coding
+    const rss3 = options.type3Design ? fitter(options.type3Design) : rss;
+    const full3 = options.type3Design ? rss3(new Set(all)) : full;
+    const type3 = all.map(t => row(t, rss3(new Set(all.filter(u => u !== t))), full3));
+
+    return {
+      type1: type1,
+      type2: type2,
+      type3: type3,
+      residual: { df: dfResidual, ss: full.rss, ms: msResidual }
+    };
+  }
+
+  /**
+   * Whether term `outer` contains term `inner` (A×B contains A and B).
+   * Polynomial terms count as variables of their own, as I(x^2) does in R.
+   */
+  static contains(outer, inner) {
+    const vars = term => ((term.degree || 1) > 1 ? [ModelTerms.label(term)] : term.vars);
+    const outerVars = vars(outer);
+    const innerVars = vars(inner);
+    return outerVars.length > innerVars.length && innerVars.every(v => outerVars.includes(v));
+  }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+  window.TermAnova = TermAnova;
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TermAnova;
+}
@@ -9,6 +9,11 @@
  * - R², Adjusted R², F-test
  * - ANOVA table
  * - Advanced diagnostics (VIF, Durbin-Watson, PRESS)
+ *
+ * Requires js/linear-algebra.js, js/distributions.js and js/ols-engine.js
+ * (all estimation goes through OLSEngine; see its header for the result schema),
+ * plus js/regression-diagnostics.js and js/regression-integration.js for the
+ * advanced diagnostics
  */
 
 // Initialize Office.js
@@ -100,7 +105,10 @@ async function runCompleteRegression() {
         // Step 2: Compute regression locally (pure JavaScript)
         showStatus('setupStatus', '🔢 Computing regression...', 'info');
         
-        const results = computeOLS(data.X, data.Y, includeIntercept, alpha);
+        const results = OLSEngine.fit(data.X, data.Y, {
+            includeIntercept: includeIntercept,
+            alpha: alpha
+        });
         regressionResults = results;
 
         // Step 3: Display results in all tabs
@@ -153,102 +161,6 @@ async function readRegressionData(xRangeAddress, yRangeAddress) {
     });
 }
 
-// ============================================================================
-// OLS REGRESSION COMPUTATION (Pure JavaScript - No Python needed!)
-// ============================================================================
-
-function computeOLS(X, Y, includeIntercept, alpha) {
-    const n = Y.length;
-    const p = X[0].length;
-    
-    // Add intercept column if requested
-    if (includeIntercept) {
-        X = X.map(row => [1, ...row]);
-    }
-    
-    const k = X[0].length; // Number of parameters (including intercept if any)
-    
-    // Compute X'X
-    const XtX = matrixMultiply(transpose(X), X);
-    
-    // Compute (X'X)^-1
-    const XtX_inv = matrixInverse(XtX);
-    
-    // Compute coefficients: β = (X'X)^-1 X'Y
-    const Xt = transpose(X);
-    const XtY = matrixMultiply(Xt, Y.map(y => [y]));
-    const beta = matrixMultiply(XtX_inv, XtY).map(row => row[0]);
-    
-    // Compute fitted values and residuals
-    const Y_fit = X.map(row => row.reduce((sum, xi, i) => sum + xi * beta[i], 0));
-    const residuals = Y.map((yi, i) => yi - Y_fit[i]);
-    
-    // Compute sum of squares
-    const Y_mean = Y.reduce((sum, y) => sum + y, 0) / n;
-    const TSS = Y.reduce((sum, y) => sum + Math.pow(y - Y_mean, 2), 0);
-    const SSR = residuals.reduce((sum, r) => sum + r * r, 0);
-    const SSE = TSS - SSR;
-    
-    // R² and Adjusted R²
-    const R2 = 1 - (SSR / TSS);
-    const R2_adj = 1 - ((1 - R2) * (n - 1) / (n - k));
-    
-    // Standard error of regression
-    const MSE = SSR / (n - k);
-    const RMSE = Math.sqrt(MSE);
-    
-    // Standard errors of coefficients
-    const SE = beta.map((_, i) => Math.sqrt(XtX_inv[i][i] * MSE));
-    
-    // t-values
-    const t_values = beta.map((b, i) => b / SE[i]);
-    
-    // p-values (two-tailed t-test)
-    const df = n - k;
-    const p_values = t_values.map(t => 2 * (1 - tCDF(Math.abs(t), df)));
-    
-    // Confidence intervals
-    const t_crit = tInverse(alpha / 2, df);
-    const CI_lower = beta.map((b, i) => b - t_crit * SE[i]);
-    const CI_upper = beta.map((b, i) => b + t_crit * SE[i]);
-    
-    // F-statistic
-    const F_stat = (SSE / (k - 1)) / (SSR / (n - k));
-    const F_pvalue = 1 - fCDF(F_stat, k - 1, n - k);
-    
-    // AIC and BIC
-    const AIC = n * Math.log(SSR / n) + 2 * k;
-    const BIC = n * Math.log(SSR / n) + k * Math.log(n);
-    
-    return {
-        coefficients: beta,
-        std_errors: SE,
-        t_values: t_values,
-        p_values: p_values,
-        CI_lower: CI_lower,
-        CI_upper: CI_upper,
-        R2: R2,
-        R2_adj: R2_adj,
-        RMSE: RMSE,
-        MSE: MSE,
-        F_stat: F_stat,
-        F_pvalue: F_pvalue,
-        AIC: AIC,
-        BIC: BIC,
-        TSS: TSS,
-        SSR: SSR,
-        SSE: SSE,
-        n: n,
-        k: k,
-        p: p,
-        df: df,
-        includeIntercept: includeIntercept,
-        alpha: alpha,
-        residuals: residuals,
-        Y_fit: Y_fit
-    };
-}
-
 // ============================================================================
 // DISPLAY RESULTS IN UI
 // ============================================================================
@@ -257,14 +169,14 @@ function displayRegressionResults(results) {
     // Model Fit Tab
     document.getElementById('nObs').textContent = results.n;
     document.getElementById('nPredictors').textContent = results.p;
-    document.getElementById('rSquared').textContent = results.R2.toFixed(4);
-    document.getElementById('adjRSquared').textContent = results.R2_adj.toFixed(4);
-    document.getElementById('rootMSE').textContent = results.RMSE.toFixed(4);
-    document.getElementById('fStat').textContent = results.F_stat.toFixed(4);
-    document.getElementById('fPvalue').textContent = results.F_pvalue.toFixed(4);
-    document.getElementById('aic').textContent = results.AIC.toFixed(2);
-    document.getElementById('bic').textContent = results.BIC.toFixed(2);
-    document.getElementById('df').textContent = results.df;
+    document.getElementById('rSquared').textContent = results.rSquared.toFixed(4);
+    document.getElementById('adjRSquared').textContent = results.adjRSquared.toFixed(4);
+    document.getElementById('rootMSE').textContent = results.rmse.toFixed(4);
+    document.getElementById('fStat').textContent = results.fStat.toFixed(4);
+    document.getElementById('fPvalue').textContent = results.fPValue.toFixed(4);
+    document.getElementById('aic').textContent = results.aic.toFixed(2);
+    document.getElementById('bic').textContent = results.bic.toFixed(2);
+    document.getElementById('df').textContent = results.dfResidual;
     
     // Coefficients Table
     displayCoefficientsTable(results);
@@ -292,17 +204,28 @@ function displayCoefficientsTable(results) {
             varName = `X${i + 1}`;
         }
         
-        const significant = results.p_values[i] < results.alpha;
+        // Aliased (linearly dependent) terms are not estimable
+        if (results.aliased[i]) {
+            row.innerHTML = `
+            <td><strong>${varName}</strong></td>
+            <td>NA</td>
+            <td colspan="6" class="not-significant">aliased (linear combination of other terms)</td>
+        `;
+            tbody.appendChild(row);
+            return;
+        }
+        
+        const significant = results.pValues[i] < results.alpha;
         const sigClass = significant ? 'significant' : 'not-significant';
         
         row.innerHTML = `
             <td><strong>${varName}</strong></td>
             <td>${coef.toFixed(4)}</td>
-            <td>${results.std_errors[i].toFixed(4)}</td>
-            <td>${results.t_values[i].toFixed(4)}</td>
-            <td class="${sigClass}">${results.p_values[i].toFixed(4)}</td>
-            <td>${results.CI_lower[i].toFixed(4)}</td>
-            <td>${results.CI_upper[i].toFixed(4)}</td>
+            <td>${results.standardErrors[i].toFixed(4)}</td>
+            <td>${results.tStats[i].toFixed(4)}</td>
+            <td class="${sigClass}">${results.pValues[i].toFixed(4)}</td>
+            <td>${results.confIntLower[i].toFixed(4)}</td>
+            <td>${results.confIntUpper[i].toFixed(4)}</td>
             <td class="${sigClass}">${significant ? '✓ Yes' : '✗ No'}</td>
         `;
         
@@ -318,11 +241,11 @@ function displayANOVATable(results) {
     const modelRow = document.createElement('tr');
     modelRow.innerHTML = `
         <td><strong>Model</strong></td>
-        <td>${results.SSE.toFixed(2)}</td>
-        <td>${results.k - 1}</td>
-        <td>${(results.SSE / (results.k - 1)).toFixed(2)}</td>
-        <td>${results.F_stat.toFixed(4)}</td>
-        <td>${results.F_pvalue.toFixed(4)}</td>
+        <td>${results.ssRegression.toFixed(2)}</td>
+        <td>${results.dfRegression}</td>
+        <td>${results.msRegression.toFixed(2)}</td>
+        <td>${results.anovaFStat.toFixed(4)}</td>
+        <td>${results.anovaFPValue.toFixed(4)}</td>
     `;
     tbody.appendChild(modelRow);
     
@@ -330,9 +253,9 @@ function displayANOVATable(results) {
     const residualRow = document.createElement('tr');
     residualRow.innerHTML = `
         <td><strong>Residual</strong></td>
-        <td>${results.SSR.toFixed(2)}</td>
-        <td>${results.df}</td>
-        <td>${results.MSE.toFixed(2)}</td>
+        <td>${results.ssResidual.toFixed(2)}</td>
+        <td>${results.dfResidual}</td>
+        <td>${results.msResidual.toFixed(2)}</td>
         <td>-</td>
         <td>-</td>
     `;
@@ -342,8 +265,8 @@ function displayANOVATable(results) {
     const totalRow = document.createElement('tr');
     totalRow.innerHTML = `
         <td><strong>Total</strong></td>
-        <td>${results.TSS.toFixed(2)}</td>
-        <td>${results.n - 1}</td>
+        <td>${results.ssTotal.toFixed(2)}</td>
+        <td>${results.dfTotal}</td>
         <td>-</td>
         <td>-</td>
         <td>-</td>
@@ -357,6 +280,9 @@ function displayEquation(results) {
     let equation = '<span class="var">Y</span> = ';
     
     results.coefficients.forEach((coef, i) => {
+        if (results.aliased[i]) {
+            return;
+        }
         if (results.includeIntercept && i === 0) {
             equation += `<span class="coef">${coef.toFixed(4)}</span>`;
         } else {
@@ -372,7 +298,7 @@ function displayEquation(results) {
 }
 
 // ============================================================================
-// ADVANCED DIAGNOSTICS (Call Python cloud function)
+// ADVANCED DIAGNOSTICS (computed locally; see js/regression-diagnostics.js)
 // ============================================================================
 
 async function computeAdvancedDiagnostics() {
@@ -429,11 +355,15 @@ function displayVIFValues(vifs) {
     let html = '<table style="width: 100%; font-size: 11px;">';
     
     vifs.forEach((vif, i) => {
-        const varName = i === 0 ? 'Intercept' : `X${i}`;
+        if (regressionResults.includeIntercept && i === 0) return;
+        const varName = regressionResults.includeIntercept ? `X${i}` : `X${i + 1}`;
         let vifClass = 'vif-ok';
         let indicator = '✓ OK';
         
-        if (vif > 10) {
+        if (isNaN(vif)) {
+            vifClass = '';
+            indicator = 'Not computable';
+        } else if (vif > 10) {
             vifClass = 'vif-high';
             indicator = '⚠️ High';
         } else if (vif > 5) {
@@ -444,7 +374,7 @@ function displayVIFValues(vifs) {
         html += `
             <tr>
                 <td style="padding: 4px 0;"><strong>${varName}</strong></td>
-                <td style="padding: 4px 8px; text-align: right;">${vif.toFixed(2)}</td>
+                <td style="padding: 4px 8px; text-align: right;">${isNaN(vif) ? '—' : vif.toFixed(2)}</td>
                 <td class="${vifClass}" style="padding: 4px 0;">${indicator}</td>
             </tr>
         `;
@@ -479,25 +409,29 @@ async function writeResultsToExcel() {
                 ['Model Summary'],
                 ['Observations', regressionResults.n],
                 ['Predictors', regressionResults.p],
-                ['R²', regressionResults.R2],
-                ['Adjusted R²', regressionResults.R2_adj],
-                ['Root MSE', regressionResults.RMSE],
-                ['F-Statistic', regressionResults.F_stat],
-                ['F P-value', regressionResults.F_pvalue],
-                ['AIC', regressionResults.AIC],
-                ['BIC', regressionResults.BIC],
+                ['R²', regressionResults.rSquared],
+                ['Adjusted R²', regressionResults.adjRSquared],
+                ['Root MSE', regressionResults.rmse],
+                ['F-Statistic', regressionResults.fStat],
+                ['F P-value', regressionResults.fPValue],
+                ['AIC', regressionResults.aic],
+                ['BIC', regressionResults.bic],
                 [''],
                 ['Coefficients', 'Value', 'Std Error', 't-value', 'P-value']
             ];
             
             regressionResults.coefficients.forEach((coef, i) => {
                 const varName = regressionResults.includeIntercept && i === 0 ? 'Intercept' : `X${i}`;
+                if (regressionResults.aliased[i]) {
+                    output.push([varName, 'NA', 'aliased', '', '']);
+                    return;
+                }
                 output.push([
                     varName,
                     coef,
-                    regressionResults.std_errors[i],
-                    regressionResults.t_values[i],
-                    regressionResults.p_values[i]
+                    regressionResults.standardErrors[i],
+                    regressionResults.tStats[i],
+                    regressionResults.pValues[i]
                 ]);
             });
             
@@ -527,6 +461,9 @@ function copyEquationToClipboard() {
     let equation = 'Y = ';
     
     regressionResults.coefficients.forEach((coef, i) => {
+        if (regressionResults.aliased[i]) {
+            return;
+        }
         if (regressionResults.includeIntercept && i === 0) {
             equation += coef.toFixed(4);
         } else {
@@ -570,93 +507,4 @@ function loadSavedRanges() {
     if (alpha) document.getElementById('alphaLevel').value = alpha;
 }
 
-// ============================================================================
-// MATRIX OPERATIONS (Linear Algebra)
-// ============================================================================
-
-function transpose(matrix) {
-    return matrix[0].map((_, colIndex) => matrix.map(row => row[colIndex]));
-}
-
-function matrixMultiply(A, B) {
-    const result = [];
-    for (let i = 0; i < A.length; i++) {
-        result[i] = [];
-        for (let j = 0; j < B[0].length; j++) {
-            let sum = 0;
-            for (let k = 0; k < A[0].length; k++) {
-                sum += A[i][k] * B[k][j];
-            }
-            result[i][j] = sum;
-        }
-    }
-    return result;
-}
-
-function matrixInverse(matrix) {
-    const n = matrix.length;
-    const augmented = matrix.map((row, i) => [
-        ...row,
-        ...Array(n).fill(0).map((_, j) => i === j ? 1 : 0)
-    ]);
-    
-    // Gauss-Jordan elimination
-    for (let i = 0; i < n; i++) {
-        // Find pivot
-        let maxRow = i;
-        for (let k = i + 1; k < n; k++) {
-            if (Math.abs(augmented[k][i]) > Math.abs(augmented[maxRow][i])) {
-                maxRow = k;
-            }
-        }
-        [augmented[i], augmented[maxRow]] = [augmented[maxRow], augmented[i]];
-        
-        // Make diagonal 1
-        const divisor = augmented[i][i];
-        for (let j = 0; j < 2 * n; j++) {
-            augmented[i][j] /= divisor;
-        }
-        
-        // Eliminate column
-        for (let k = 0; k < n; k++) {
-            if (k !== i) {
-                const factor = augmented[k][i];
-                for (let j = 0; j < 2 * n; j++) {
-                    augmented[k][j] -= factor * augmented[i][j];
-                }
-            }
-        }
-    }
-    
-    return augmented.map(row => row.slice(n));
-}
-
-// ============================================================================
-// STATISTICAL FUNCTIONS
-// ============================================================================
-
-function tCDF(t, df) {
-    // Approximation of Student's t CDF
-    const x = df / (df + t * t);
-    return 1 - 0.5 * incompleteBeta(df / 2, 0.5, x);
-}
-
-function tInverse(p, df) {
-    // Approximation of t critical value
-    return Math.sqrt(df * (Math.pow(1 - 2 * p, -2 / df) - 1));
-}
-
-function fCDF(f, df1, df2) {
-    // Approximation of F CDF
-    const x = df2 / (df2 + df1 * f);
-    return 1 - incompleteBeta(df2 / 2, df1 / 2, x);
-}
-
-function incompleteBeta(a, b, x) {
-    // Simple approximation
-    if (x <= 0) return 0;
-    if (x >= 1) return 1;
-    return Math.pow(x, a) * Math.pow(1 - x, b) / (a + b);
-}
-
 console.log('✅ Regression Complete module loaded');
@@ -4,8 +4,11 @@
  * 
  * This module:
  * 1. Reads regression data from Excel using Office.js
- * 2. Calls Python cloud function for diagnostics
+ * 2. Computes diagnostics locally (js/regression-diagnostics.js), or with the
+ *    optional Python cloud function when CONFIG.backend is 'remote'
  * 3. Displays results in task pane
+ *
+ * Requires js/regression-diagnostics.js (and its dependencies) for the local backend
  */
 
 // ============================================================================
@@ -13,7 +16,10 @@
 // ============================================================================
 
 const CONFIG = {
-  // Set your deployed cloud function URL here
+  // 'local' computes in the browser; 'remote' POSTs to cloudFunctionUrl
+  backend: 'local',
+  
+  // Set your deployed cloud function URL here (remote backend only)
   cloudFunctionUrl: 'YOUR_CLOUD_FUNCTION_URL_HERE',
   // Example: 'https://us-central1-your-project.cloudfunctions.net/regression_diagnostics'
   // For local testing: 'http://localhost:8080'
@@ -147,7 +153,7 @@ class RegressionDiagnosticsIntegration {
   }
 
   /**
-   * Call Python cloud function to compute diagnostics
+   * Compute diagnostics with the configured backend
    * @returns {Promise<Object>} Diagnostics results
    */
   async computeDiagnostics() {
@@ -155,6 +161,30 @@ class RegressionDiagnosticsIntegration {
       throw new Error('No regression data available. Call readDataFromExcel() first.');
     }
 
+    if (CONFIG.backend === 'remote') {
+      return await this.computeRemoteDiagnostics();
+    }
+
+    console.log('🔬 Computing diagnostics locally...');
+    
+    try {
+      this.diagnosticsResults = RegressionDiagnostics.compute(this.regressionData);
+      this.diagnosticsResults.warnings.forEach(w => console.warn('⚠️', w));
+      console.log('✅ Diagnostics computed successfully');
+      
+      return this.diagnosticsResults;
+      
+    } catch (error) {
+      console.error('❌ Error computing diagnostics:', error);
+      throw new Error(`Failed to compute diagnostics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Call Python cloud function to compute diagnostics (same result shape)
+   * @returns {Promise<Object>} Diagnostics results
+   */
+  async computeRemoteDiagnostics() {
     if (!CONFIG.cloudFunctionUrl || CONFIG.cloudFunctionUrl === 'YOUR_CLOUD_FUNCTION_URL_HERE') {
       throw new Error('Cloud function URL not configured. Update CONFIG.cloudFunctionUrl in regression-integration.js');
     }
@@ -256,7 +286,12 @@ class RegressionDiagnosticsIntegration {
     let html = '<ul style="margin: 5px 0; padding-left: 20px;">';
     
     vifs.forEach((vif, idx) => {
-      const varName = idx === 0 ? 'Intercept' : `X${idx}`;
+      if (this.isIntercept(idx)) return;
+      const varName = this.termName(idx);
+      if (isNaN(vif)) {
+        html += `<li>${varName}: — (not computable)</li>`;
+        return;
+      }
       const color = vif > CONFIG.thresholds.vifHigh 
         ? 'color: #ff6b6b;' 
         : vif > CONFIG.thresholds.vifModerate 
@@ -290,8 +325,8 @@ class RegressionDiagnosticsIntegration {
       
       let html = '<ul style="margin: 5px 0; padding-left: 20px;">';
       correlations.forEach(pair => {
-        const var1 = pair.i === 0 ? 'Intercept' : `X${pair.i}`;
-        const var2 = pair.j === 0 ? 'Intercept' : `X${pair.j}`;
+        const var1 = this.termName(pair.i);
+        const var2 = this.termName(pair.j);
         const perfect = pair.perfect ? ' (Perfect!)' : '';
         html += `<li>${var1} ↔ ${var2}: r = ${pair.r.toFixed(4)}${perfect}</li>`;
       });
@@ -303,6 +338,21 @@ class RegressionDiagnosticsIntegration {
     }
   }
 
+  /**
+   * Whether a design column is the intercept (column 0 when present)
+   */
+  isIntercept(idx) {
+    return idx === 0 && !(this.regressionData && this.regressionData.intercept === false);
+  }
+
+  /**
+   * Display name of a design column (the intercept is column 0 when present)
+   */
+  termName(idx) {
+    if (this.regressionData && this.regressionData.intercept === false) return `X${idx + 1}`;
+    return idx === 0 ? 'Intercept' : `X${idx}`;
+  }
+
   /**
    * Helper to update element text
    */
@@ -333,7 +383,8 @@ class RegressionDiagnosticsIntegration {
         ['REGRESSION DIAGNOSTICS', ''],
         ['', ''],
         ['Multicollinearity', ''],
-        ['Condition Number', diag.multicollinearity.condition_number],
+        ['Condition Number', isFinite(diag.multicollinearity.condition_number)
+          ? diag.multicollinearity.condition_number : '∞'],
         ['Determinant', diag.multicollinearity.determinant],
         ['', ''],
         ['VIF Values', ''],
@@ -341,8 +392,9 @@ class RegressionDiagnosticsIntegration {
       
       // Add VIF values
       diag.multicollinearity.vif.forEach((vif, idx) => {
-        const varName = idx === 0 ? 'Intercept' : `X${idx}`;
-        output.push([varName, vif]);
+        if (this.isIntercept(idx)) return;
+        const varName = this.termName(idx);
+        output.push([varName, isNaN(vif) ? '—' : (isFinite(vif) ? vif : '∞')]);
       });
       
       output.push(['', '']);
@@ -385,8 +437,9 @@ class RegressionDiagnosticsIntegration {
     summary += '  VIF Values:\n';
     
     diag.multicollinearity.vif.forEach((vif, idx) => {
-      const varName = idx === 0 ? 'Intercept' : `X${idx}`;
-      summary += `    ${varName}: ${vif.toFixed(2)}\n`;
+      if (this.isIntercept(idx)) return;
+      const varName = this.termName(idx);
+      summary += `    ${varName}: ${isNaN(vif) ? '—' : vif.toFixed(2)}\n`;
     });
     
     summary += '\nAUTOCORRELATION:\n';
@@ -0,0 +1,26 @@
+// Logical cells are missing values in the correlation matrix, not 1 / 0.
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.LinearAlgebra = require('../js/linear-algebra.js');
+global.Distributions = require('../js/distributions.js');
+const Correlations = require('../js/correlations.js');
+
+test('toNumber treats booleans and blanks as missing', () => {
+  [true, false, null, undefined, ''].forEach(value => assert.ok(Number.isNaN(Correlations.toNumber(value))));
+  assert.strictEqual(Correlations.toNumber('2.5'), 2.5);
+  assert.strictEqual(Correlations.toNumber(0), 0);
+});
+
+test('rows with a logical cell drop out of the pair', () => {
+  const x = [1, 2, 3, 4, 5, 6];
+  const y = [2, 1, 4, 3, 6, 5];
+  const withLogicals = Correlations.matrix([
+    { name: 'x', data: x.concat([true, 7]) },
+    { name: 'y', data: y.concat([9, false]) }
+  ]);
+  const clean = Correlations.matrix([{ name: 'x', data: x }, { name: 'y', data: y }]);
+  assert.strictEqual(withLogicals.n[0][1], 6);
+  assert.strictEqual(withLogicals.r[0][1], clean.r[0][1]);
+});
@@ -0,0 +1,56 @@
+// Robust standard errors with frequency weights must equal those of the
+// expanded data (each row repeated w times). Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.LinearAlgebra = require('../js/linear-algebra.js');
+global.Distributions = require('../js/distributions.js');
+global.RobustCovariance = require('../js/robust-covariance.js');
+const OLSEngine = require('../js/ols-engine.js');
+
+// mtcars: mpg ~ wt, weights = carb
+const mpg = [21, 21, 22.8, 21.4, 18.7, 18.1, 14.3, 24.4, 22.8, 19.2, 17.8, 16.4, 17.3, 15.2, 10.4, 10.4,
+  14.7, 32.4, 30.4, 33.9, 21.5, 15.5, 15.2, 13.3, 19.2, 27.3, 26, 30.4, 15.8, 19.7, 15, 21.4];
+const wt = [2.62, 2.875, 2.32, 3.215, 3.44, 3.46, 3.57, 3.19, 3.15, 3.44, 3.44, 4.07, 3.73, 3.78, 5.25, 5.424,
+  5.345, 2.2, 1.615, 1.835, 2.465, 3.52, 3.435, 3.84, 3.845, 1.935, 2.14, 1.513, 3.17, 2.77, 3.57, 2.78];
+const carb = [4, 4, 1, 1, 2, 1, 4, 2, 2, 4, 4, 3, 3, 3, 4, 4, 4, 1, 2, 1, 1, 2, 2, 4, 2, 1, 2, 2, 4, 6, 8, 2];
+
+const expand = values => values.flatMap((v, i) => new Array(carb[i]).fill(v));
+
+function standardErrors(vcovType, weighted, options) {
+  const x = weighted ? wt : expand(wt);
+  const y = weighted ? mpg : expand(mpg);
+  const fit = OLSEngine.fit(x.map(v => [v]), y, Object.assign({
+    vcovType: vcovType,
+    weights: weighted ? carb : null,
+    weightType: 'frequency'
+  }, options));
+  return fit.standardErrors;
+}
+
+function assertClose(actual, expected, tolerance) {
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < tolerance, `${actual} vs ${expected}`));
+}
+
+['HC0', 'HC1', 'HC2', 'HC3', 'HC4'].forEach(type => {
+  test(`${type} with frequency weights matches the expanded data`, () => {
+    assertClose(standardErrors(type, true), standardErrors(type, false), 1e-10);
+  });
+});
+
+test('HC1 and HC3 match sandwich::vcovHC on the expanded data', () => {
+  assertClose(standardErrors('HC1', true), [1.3840, 0.3820], 5e-5);
+  assertClose(standardErrors('HC3', true), [1.4344, 0.3970], 5e-5);
+});
+
+test('cluster-robust errors with frequency weights match the expanded data', () => {
+  const cyl = [6, 6, 4, 6, 8, 6, 8, 4, 4, 6, 6, 8, 8, 8, 8, 8, 8, 4, 4, 4, 4, 8, 8, 8, 8, 4, 4, 4, 8, 6, 8, 4];
+  assertClose(
+    standardErrors('cluster', true, { vcovOptions: { clusters: [cyl] } }),
+    standardErrors('cluster', false, { vcovOptions: { clusters: [expand(cyl)] } }),
+    1e-10);
+});
+
+test('Newey-West rejects frequency weights', () => {
+  assert.throws(() => standardErrors('HAC', true), /frequency weights/);
+});